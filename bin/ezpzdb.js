@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+'use strict'
+
+const fs = require('fs')
+const util = require('util')
+const { Database, DatabaseError } = require('..')
+const types = require('../db/types.js')
+
+const USAGE = `Usage: ezpzdb <dbpath> <command> [arguments]
+
+Commands:
+  tables                    List all tables
+  stats <table>             Show the size, indexes etc. of a table
+  get <table> <id>          Print a single entry
+  dump <table>              Print all entries, one per line
+  query <table> <json>      Print all entries matching the query,
+                            e. g. '{ "age": { "$gt": 30 } }'
+  verify                    Check that every entry can be read
+  repair <table>            Rebuild the index of a table from its data
+  compact [table]           Compact the given table or all of them
+  export <table> [file]     Write all entries to the file (or stdout)
+  import <table> <file>     Insert all entries from the file
+  drop <table>              Delete a table with all of its entries
+  rename <table> <name>     Give a table another name
+  clone <table> <name>      Copy a table to a new one
+
+Options:
+  --format <format>         ndjson, json or csv for export and import,
+                            derived from the file name by default
+  --preserve-ids            Keep the IDs of imported entries
+  --on-conflict <strategy>  error, skip or replace entries with
+                            the same ID when importing
+
+Everything except compact, repair, import, drop, rename and clone
+opens the database read-only, so it is safe to run while the database
+is in use.
+The others fail if another process has opened it for writing.
+Encrypted databases are opened with the passphrase in EZPZDB_KEY.`
+
+// Commands that change the database, everything else is read-only
+const WRITING_COMMANDS = [
+  'compact', 'repair', 'import', 'drop', 'rename', 'clone'
+]
+
+class UsageError extends Error {}
+
+function parseArgs (argv) {
+  let positional = []
+  let options = {}
+  for (let ix = 0; ix < argv.length; ix++) {
+    let arg = argv[ix]
+    if (arg === '--preserve-ids') {
+      options.preserveIds = true
+    } else if (arg === '--format' || arg === '--on-conflict') {
+      if (ix + 1 === argv.length) {
+        throw new UsageError(`${arg} needs a value`)
+      }
+      options[arg === '--format' ? 'format' : 'onConflict'] = argv[++ix]
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option ${arg}`)
+    } else {
+      positional.push(arg)
+    }
+  }
+  return { positional, options }
+}
+
+function print (value) {
+  process.stdout.write(JSON.stringify(types.encode(value), null, 2) + '\n')
+}
+
+function requireTable (db, tableName) {
+  if (tableName === undefined) {
+    throw new UsageError('Missing table name')
+  }
+  if (!db.tableExists(tableName)) {
+    throw new DatabaseError(`There is no table ${tableName}`)
+  }
+  return tableName
+}
+
+const COMMANDS = {
+  tables (db) {
+    for (let tableName of db.listTables()) {
+      process.stdout.write(tableName + '\n')
+    }
+  },
+
+  stats (db, [tableName]) {
+    let table = db.tables[requireTable(db, tableName)]
+    let { entries, lastId, fileSize, dataSize, deadSize } =
+      db.tableStats(tableName)
+    print({
+      entries,
+      lastId,
+      fileSize,
+      dataSize,
+      deadSize,
+      deadSpaceRatio: db.deadSpaceRatio(tableName),
+      indexes: Object.keys(table.fieldIndexes).map(field => ({
+        field, unique: table.fieldIndexes[field].unique
+      })),
+      schema: table.schema
+    })
+  },
+
+  get (db, [tableName, id]) {
+    requireTable(db, tableName)
+    let item = db.get(tableName,
+      db.tables[tableName].key.type === 'autoincrement' ? Number(id) : id)
+    if (!item) {
+      throw new DatabaseError(`There is no entry ${id} in ${tableName}`)
+    }
+    print(item)
+  },
+
+  dump (db, [tableName]) {
+    return db.exportTable(requireTable(db, tableName), process.stdout,
+                          { format: 'ndjson' })
+  },
+
+  query (db, [tableName, json]) {
+    requireTable(db, tableName)
+    if (json === undefined) {
+      throw new UsageError('Missing query')
+    }
+    let q
+    try {
+      q = JSON.parse(json)
+    } catch (err) {
+      throw new UsageError(`Invalid query: ${err.message}`)
+    }
+    for (let item of db.find(tableName, q)) {
+      process.stdout.write(types.stringify(item) + '\n')
+    }
+  },
+
+  verify (db) {
+    let problems = db.verify()
+    if (problems.length !== 0) {
+      throw new DatabaseError(`Found ${problems.length} problems:\n  ` +
+        problems.map(({ table, id, message }) => id === null
+          ? `${table}: ${message}` : `${table}: ${id} ${message}`)
+          .join('\n  '))
+    }
+    process.stdout.write('No problems found\n')
+  },
+
+  async repair (db, [tableName]) {
+    print(await db.repair(requireTable(db, tableName)))
+  },
+
+  async compact (db, [tableName]) {
+    let tableNames = tableName === undefined
+      ? Object.keys(db.tables) : [requireTable(db, tableName)]
+    for (let name of tableNames) {
+      await db.compact(name)
+    }
+  },
+
+  export (db, [tableName, file], { format }) {
+    return db.exportTable(requireTable(db, tableName),
+                          file === undefined ? process.stdout : file,
+                          { format })
+  },
+
+  async import (db, [tableName, file], options) {
+    if (tableName === undefined || file === undefined) {
+      throw new UsageError('Missing table name or file')
+    }
+    print(await db.importTable(tableName, file, options))
+  },
+
+  drop (db, [tableName]) {
+    return db.dropTable(requireTable(db, tableName))
+  },
+
+  rename (db, [tableName, newName]) {
+    requireTable(db, tableName)
+    if (newName === undefined) {
+      throw new UsageError('Missing new table name')
+    }
+    return db.renameTable(tableName, newName)
+  },
+
+  clone (db, [tableName, newName]) {
+    requireTable(db, tableName)
+    if (newName === undefined) {
+      throw new UsageError('Missing name of the copy')
+    }
+    return db.cloneTable(tableName, newName)
+  }
+}
+
+/**
+ * Everything the database logs goes to stderr,
+ * stdout is for the results of the command
+ */
+const stderrLogger = {}
+for (let level of ['debug', 'info', 'warn', 'error']) {
+  stderrLogger[level] = message => process.stderr.write(
+    `[ezpzdb ${level}] ${typeof message === 'string'
+      ? message : util.inspect(message)}\n`)
+}
+
+function open (dbpath, readOnly) {
+  return new Database(dbpath, {
+    readOnly,
+    handleSignals: false,
+    logger: stderrLogger,
+    logLevel: 'info',
+    encryptionKey: process.env.EZPZDB_KEY || null
+  })
+}
+
+async function main (argv) {
+  let { positional, options } = parseArgs(argv)
+  if (options.help) {
+    process.stdout.write(USAGE + '\n')
+    return
+  }
+  let [dbpath, command, ...args] = positional
+  if (command === undefined) {
+    throw new UsageError('Missing database path or command')
+  }
+  if (!COMMANDS.hasOwnProperty(command)) {
+    throw new UsageError(`Unknown command ${command}`)
+  }
+  if (!fs.existsSync(dbpath)) {
+    throw new DatabaseError(`There is no database in ${dbpath}`)
+  }
+  let db = open(dbpath, !WRITING_COMMANDS.includes(command))
+  try {
+    await COMMANDS[command](db, args, options)
+  } finally {
+    await db.close()
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  if (err instanceof UsageError) {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`)
+    process.exitCode = 2
+  } else {
+    process.stderr.write(`${err instanceof DatabaseError
+      ? err.message : err.stack}\n`)
+    process.exitCode = 1
+  }
+})
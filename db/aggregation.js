@@ -0,0 +1,100 @@
+'use strict'
+
+const { getPath, sortCompare, isPlainObject } = require('./query.js')
+
+/**
+ * Metrics for aggregate. Every metric is an object with one operator
+ * and the field (or dot-path) it is about, e. g.
+ *
+ *   { total: { $sum: 'amount' }, orders: { $count: true } }
+ *
+ * $count - Number of entries, the field is ignored
+ * $sum - Sum of the field, values that aren't numbers are skipped
+ * $avg - Average of the field, values that aren't numbers
+ *        are skipped. null if there are no numbers.
+ * $min, $max - Smallest/biggest value of the field in sort order
+ *              (see query.comparator), null if there is none
+ */
+
+const operators = {
+  $count: {
+    init: () => 0,
+    add: count => count + 1,
+    result: count => count
+  },
+  $sum: {
+    init: () => 0,
+    add: (sum, value) => typeof value === 'number' ? sum + value : sum,
+    result: sum => sum
+  },
+  $avg: {
+    init: () => ({ sum: 0, count: 0 }),
+    add (avg, value) {
+      if (typeof value === 'number') {
+        avg.sum += value
+        avg.count++
+      }
+      return avg
+    },
+    result: ({ sum, count }) => count === 0 ? null : sum / count
+  },
+  $min: {
+    init: () => null,
+    add: (min, value) => value === undefined || value === null ||
+      (min !== null && sortCompare(value, min) >= 0) ? min : value,
+    result: min => min
+  },
+  $max: {
+    init: () => null,
+    add: (max, value) => value === undefined || value === null ||
+      (max !== null && sortCompare(value, max) <= 0) ? max : value,
+    result: max => max
+  }
+}
+
+/**
+ * Turn metrics into functions to compute them: init returns the state
+ * of a new group, add adds an entry to the state of its group and
+ * result turns a state into { metricName: value }.
+ * onlyCounts tells whether every metric is a $count.
+ */
+function compile (metrics) {
+  if (!isPlainObject(metrics)) {
+    throw Error('Metrics have to be an object like ' +
+                '{ total: { $sum: \'amount\' } }')
+  }
+  let compiled = Object.keys(metrics).map(name => {
+    let metric = metrics[name]
+    let ops = isPlainObject(metric) ? Object.keys(metric) : []
+    if (ops.length !== 1) {
+      throw Error(`Metric ${name} needs exactly one operator, ` +
+                  'like { $sum: \'amount\' }')
+    }
+    let operator = operators[ops[0]]
+    if (!operator) {
+      throw Error(`Unknown aggregation operator ${ops[0]}`)
+    }
+    return { name, operator, field: metric[ops[0]] }
+  })
+  return {
+    init: () => compiled.map(({ operator }) => operator.init()),
+    add (state, item) {
+      compiled.forEach(({ operator, field }, ix) => {
+        state[ix] = operator.add(state[ix], operator === operators.$count
+          ? undefined : getPath(item, field))
+      })
+    },
+    result (state) {
+      let result = {}
+      compiled.forEach(({ name, operator }, ix) => {
+        result[name] = operator.result(state[ix])
+      })
+      return result
+    },
+    onlyCounts: compiled.every(({ operator }) => operator === operators.$count)
+  }
+}
+
+module.exports = {
+  compile
+}
@@ -0,0 +1,187 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const mkdir = require('mkdir-p')
+const { BackupError } = require('./errors.js')
+
+/**
+ * Snapshot backups of a database directory.
+ *
+ * A backup is a directory containing a copy of every table file and
+ * a manifest.json listing all of them with their size and SHA-256
+ * checksum. The manifest is written last, so a backup without one
+ * is incomplete.
+ */
+
+const MANIFEST = 'manifest.json'
+const VERSION = 1
+
+/**
+ * Open every file of the given tables right away.
+ * Data and index files are only ever appended to, everything else
+ * (including compacted data files) is replaced by renaming a new file.
+ * So as long as the files are open and we don't read past the size
+ * they have right now, the copies are consistent no matter what
+ * happens to the database while copying.
+ */
+function openFiles (storage, tableNames, extraFiles) {
+  let names = extraFiles.filter(file => storage.exists(file))
+  for (let tableName of tableNames) {
+    let dir = `tables/${tableName}`
+    for (let name of storage.list(dir)) {
+      if (name.endsWith('-new')) continue
+      names.push(`${dir}/${name}`)
+    }
+  }
+  return names.map(file => {
+    let size = storage.size(file)
+    return { file, handle: storage.open(file), size }
+  })
+}
+
+const CHUNK_SIZE = 64 * 1024
+
+/**
+ * Copy the first size bytes of the open file to dest
+ * and resolve with their checksum
+ */
+async function copyOpenFile (storage, { handle, size }, dest) {
+  let hash = crypto.createHash('sha256')
+  let output = fs.createWriteStream(dest)
+  let failed = new Promise((resolve, reject) => output.on('error', reject))
+  for (let pos = 0; pos < size; pos += CHUNK_SIZE) {
+    let chunk = storage.read(handle, pos, Math.min(CHUNK_SIZE, size - pos))
+    hash.update(chunk)
+    if (!output.write(chunk)) {
+      await Promise.race([
+        new Promise(resolve => output.once('drain', resolve)), failed])
+    }
+  }
+  await Promise.race([new Promise(resolve => output.end(resolve)), failed])
+  return hash.digest('hex')
+}
+
+function checksum (file) {
+  return new Promise((resolve, reject) => {
+    let hash = crypto.createHash('sha256')
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+/**
+ * Write a backup of the given tables to destDir.
+ * Resolves with the manifest.
+ *
+ * storage - Storage adapter of the database
+ * tableNames - Tables that exist in the storage
+ * destDir - Directory to put the backup into, must not contain
+ *           a backup already
+ * extraFiles - Files outside of the tables to copy as well
+ *              if they exist, like the key file of encrypted databases
+ */
+async function create (storage, tableNames, destDir, extraFiles = []) {
+  if (fs.existsSync(path.join(destDir, MANIFEST))) {
+    throw new BackupError(`There already is a backup in ${destDir}`)
+  }
+  let files = openFiles(storage, tableNames, extraFiles)
+  let manifest = {
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    tables: tableNames,
+    files: []
+  }
+  try {
+    for (let entry of files) {
+      let dest = path.join(destDir, entry.file)
+      mkdir.sync(path.dirname(dest))
+      let sha256 = await copyOpenFile(storage, entry, dest)
+      manifest.files.push({ file: entry.file, size: entry.size, sha256 })
+    }
+  } finally {
+    for (let { handle } of files) {
+      storage.close(handle)
+    }
+  }
+  fs.writeFileSync(path.join(destDir, MANIFEST),
+    JSON.stringify(manifest, null, 2))
+  return manifest
+}
+
+/**
+ * Check that the backup in backupDir is complete and that
+ * no file has been changed since. Resolves with the manifest,
+ * rejects with a BackupError listing every problem otherwise.
+ */
+async function verify (backupDir) {
+  let manifest
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(backupDir, MANIFEST)))
+  } catch (err) {
+    throw new BackupError(`No valid manifest in ${backupDir}: ${err.message}`)
+  }
+  if (manifest.version !== VERSION) {
+    throw new BackupError(`Unsupported backup version ${manifest.version}`)
+  }
+  let problems = []
+  for (let { file, size, sha256 } of manifest.files) {
+    let source = path.join(backupDir, file)
+    if (path.isAbsolute(file) || file.split(/[\\/]/).includes('..')) {
+      problems.push(`${file} is outside of the backup`)
+    } else if (!fs.existsSync(source)) {
+      problems.push(`${file} is missing`)
+    } else if (fs.statSync(source).size !== size) {
+      problems.push(`${file} has the wrong size`)
+    } else if (await checksum(source) !== sha256) {
+      problems.push(`${file} has the wrong checksum`)
+    }
+  }
+  if (problems.length !== 0) {
+    throw new BackupError(`Backup in ${backupDir} is damaged: ` +
+                          problems.join(', '), problems)
+  }
+  return manifest
+}
+
+/**
+ * Restore the backup in backupDir to dbpath.
+ * The backup is verified first and copied next to dbpath,
+ * which is only replaced once everything has been copied.
+ *
+ * backupDir - Directory containing the backup
+ * dbpath - Directory of the database to restore
+ * overwrite - Replace dbpath if it exists already
+ */
+async function restore (backupDir, dbpath, { overwrite = false } = {}) {
+  let manifest = await verify(backupDir)
+  if (fs.existsSync(dbpath) && !overwrite) {
+    throw new BackupError(`${dbpath} exists already, pass ` +
+                          '{ overwrite: true } to replace it')
+  }
+  let restoring = `${dbpath}-restoring`
+  let old = `${dbpath}-old`
+  fs.rmSync(restoring, { recursive: true, force: true })
+  mkdir.sync(path.join(restoring, 'tables'))
+  for (let { file } of manifest.files) {
+    let dest = path.join(restoring, file)
+    mkdir.sync(path.dirname(dest))
+    await fs.promises.copyFile(path.join(backupDir, file), dest)
+  }
+  if (fs.existsSync(dbpath)) {
+    fs.rmSync(old, { recursive: true, force: true })
+    fs.renameSync(dbpath, old)
+  }
+  fs.renameSync(restoring, dbpath)
+  fs.rmSync(old, { recursive: true, force: true })
+  return manifest
+}
+
+module.exports = {
+  create,
+  verify,
+  restore
+}
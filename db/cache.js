@@ -0,0 +1,345 @@
+'use strict'
+
+const POLICIES = ['lru', 'lfu']
+
+// How often an entry can be counted as used, so that entries that
+// were popular a long time ago don't stay in an LFU cache forever
+const MAX_USES = 100
+
+/**
+ * Entries that have been read from disk, kept in memory so that
+ * they don't have to be read again.
+ *
+ * The cache can be limited to a number of entries and/or bytes,
+ * for all tables together as well as for single tables. Once a limit
+ * is reached, the least recently used entry (lru) or the least
+ * frequently used one (lfu, ties go to the least recently used one)
+ * is evicted. The size of an entry is the size of its record.
+ *
+ * An entry is never evicted to make room for itself, otherwise new
+ * entries of a warm LFU cache (which have only been used once) would be
+ * the first to go. Instead, they stay until the next one is added.
+ */
+module.exports = class Cache {
+
+  /**
+   * maxEntries - How many entries to keep at most. Default: no limit
+   * maxBytes - How many bytes of records to keep at most.
+   *            Default: no limit
+   * policy - lru or lfu. Default: lru
+   * tables - Limits of single tables, table name as key and an object
+   *          with maxEntries and/or maxBytes as value
+   */
+  constructor ({
+    maxEntries = Infinity, maxBytes = Infinity, policy = 'lru', tables = {}
+  } = {}) {
+    if (!POLICIES.includes(policy)) {
+      throw Error(`Unknown cache policy ${policy}, ` +
+                  `use one of ${POLICIES.join(', ')}`)
+    }
+    this.maxEntries = maxEntries
+    this.maxBytes = maxBytes
+    this.policy = policy
+    this.tableLimits = tables
+    // Every entry, key is the table name and the ID, value an object
+    // like { tableName, id, item, size, uses, links }
+    this.entries = new Map()
+    // The entries in order of use, the least recently used one first
+    this.order = new List()
+    // The same by how often they have been used, for lfu
+    this.frequencies = new Frequencies()
+    // The same for every table, see tableOf
+    this.tables = new Map()
+    this.bytes = 0
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+
+  tableOf (tableName) {
+    let table = this.tables.get(tableName)
+    if (!table) {
+      let limits = this.tableLimits[tableName] || {}
+      table = {
+        entries: new Map(),
+        order: new List(),
+        frequencies: new Frequencies(),
+        bytes: 0,
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        maxEntries: limits.maxEntries || Infinity,
+        maxBytes: limits.maxBytes || Infinity
+      }
+      this.tables.set(tableName, table)
+    }
+    return table
+  }
+
+  /**
+   * The cached entry or undefined if it isn't cached
+   */
+  get (tableName, id) {
+    let table = this.tableOf(tableName)
+    let entry = table.entries.get(String(id))
+    if (!entry) {
+      table.misses++
+      this.misses++
+      return undefined
+    }
+    table.hits++
+    this.hits++
+    this.touch(table, entry)
+    return entry.item
+  }
+
+  /**
+   * Add an entry to the cache, evicting others if that
+   * exceeds a limit. Entries bigger than a limit are not cached.
+   *
+   * size - Size of the record of the entry in bytes
+   */
+  set (tableName, id, item, size) {
+    let table = this.tableOf(tableName)
+    if (size > this.maxBytes || size > table.maxBytes) return
+    this.delete(tableName, id)
+    let entry = { tableName, id: String(id), item, size, uses: 1 }
+    this.add(table, entry)
+    while (table.entries.size > table.maxEntries ||
+           table.bytes > table.maxBytes) {
+      this.evict(this.victim(table, entry))
+    }
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.evict(this.victim(this, entry))
+    }
+  }
+
+  /**
+   * Remove an entry from the cache, e. g. because it has changed
+   */
+  delete (tableName, id) {
+    let table = this.tables.get(tableName)
+    let entry = table && table.entries.get(String(id))
+    if (entry) this.remove(entry)
+  }
+
+  /**
+   * Remove every entry of the given table from the cache
+   */
+  clearTable (tableName) {
+    let table = this.tables.get(tableName)
+    if (!table) return
+    for (let entry of table.entries.values()) {
+      this.remove(entry)
+    }
+  }
+
+  /**
+   * Remove entries that haven't been used since the last collection,
+   * everything else counts as used once less. Returns how many
+   * entries have been removed.
+   */
+  collect () {
+    let removed = 0
+    for (let entry of Array.from(this.entries.values())) {
+      if (entry.uses === 0) {
+        this.evict(entry)
+        removed++
+      } else {
+        // Moved to the bucket below, keeping the order of use
+        this.remove(entry)
+        entry.uses--
+        this.add(this.tableOf(entry.tableName), entry)
+      }
+    }
+    return removed
+  }
+
+  /**
+   * Hits, misses, evictions and the current size,
+   * for all tables together and for every single table
+   */
+  stats () {
+    let stats = statsOf(this)
+    stats.tables = {}
+    for (let [tableName, table] of this.tables) {
+      stats.tables[tableName] = statsOf(table)
+    }
+    return stats
+  }
+
+  /**
+   * The same as stats, for a single table
+   */
+  tableStats (tableName) {
+    return statsOf(this.tableOf(tableName))
+  }
+
+  /**
+   * Count an entry as used
+   */
+  touch (table, entry) {
+    this.remove(entry)
+    if (entry.uses < MAX_USES) entry.uses++
+    this.add(table, entry)
+  }
+
+  add (table, entry) {
+    table.entries.set(entry.id, entry)
+    this.entries.set(keyOf(entry.tableName, entry.id), entry)
+    // Where the entry is in the lists, to take it out of them
+    entry.links = {
+      tableOrder: table.order.push(entry),
+      order: this.order.push(entry)
+    }
+    if (this.policy === 'lfu') {
+      entry.links.tableUses = table.frequencies.add(entry)
+      entry.links.uses = this.frequencies.add(entry)
+    }
+    table.bytes += entry.size
+    this.bytes += entry.size
+  }
+
+  /**
+   * Entry to evict from the entries of the given table (or the whole
+   * cache), which is only the given entry if there is nothing else
+   */
+  victim ({ order, frequencies }, except) {
+    if (this.policy === 'lfu') return frequencies.victim(except)
+    return order.first(except) || except
+  }
+
+  evict (entry) {
+    this.remove(entry)
+    this.tableOf(entry.tableName).evictions++
+    this.evictions++
+  }
+
+  remove (entry) {
+    let table = this.tableOf(entry.tableName)
+    table.entries.delete(entry.id)
+    this.entries.delete(keyOf(entry.tableName, entry.id))
+    table.order.remove(entry.links.tableOrder)
+    this.order.remove(entry.links.order)
+    if (this.policy === 'lfu') {
+      table.frequencies.delete(entry, entry.links.tableUses)
+      this.frequencies.delete(entry, entry.links.uses)
+    }
+    table.bytes -= entry.size
+    this.bytes -= entry.size
+  }
+
+}
+
+/**
+ * Doubly linked list, which unlike a Map can give its first element
+ * in constant time even after lots of elements have been removed
+ */
+class List {
+
+  constructor () {
+    this.head = null
+    this.tail = null
+    this.size = 0
+  }
+
+  /**
+   * Append a value, returns its node to remove it with
+   */
+  push (value) {
+    let node = { value, prev: this.tail, next: null }
+    if (this.tail) {
+      this.tail.next = node
+    } else {
+      this.head = node
+    }
+    this.tail = node
+    this.size++
+    return node
+  }
+
+  remove (node) {
+    if (node.prev) {
+      node.prev.next = node.next
+    } else {
+      this.head = node.next
+    }
+    if (node.next) {
+      node.next.prev = node.prev
+    } else {
+      this.tail = node.prev
+    }
+    this.size--
+  }
+
+  /**
+   * The first value other than except, null if there is none
+   */
+  first (except) {
+    let node = this.head
+    if (node && node.value === except) node = node.next
+    return node ? node.value : null
+  }
+
+}
+
+/**
+ * Entries grouped by how often they have been used, so that the least
+ * frequently used one can be found without going through all of them.
+ * Every group keeps its entries in order of use, like Cache.order.
+ */
+class Frequencies {
+
+  constructor () {
+    // uses → List of entries
+    this.buckets = new Map()
+    // No bucket has fewer uses than this
+    this.min = 0
+  }
+
+  /**
+   * Add an entry, returns its node to delete it with
+   */
+  add (entry) {
+    let bucket = this.buckets.get(entry.uses)
+    if (!bucket) {
+      bucket = new List()
+      this.buckets.set(entry.uses, bucket)
+    }
+    if (this.buckets.size === 1 || entry.uses < this.min) {
+      this.min = entry.uses
+    }
+    return bucket.push(entry)
+  }
+
+  delete (entry, node) {
+    let bucket = this.buckets.get(entry.uses)
+    bucket.remove(node)
+    if (bucket.size === 0) this.buckets.delete(entry.uses)
+  }
+
+  /**
+   * The least frequently used entry other than except (ties go to the
+   * least recently used one), except if there is nothing else.
+   * Uses are bounded by MAX_USES, so this takes constant time.
+   */
+  victim (except) {
+    for (let uses = this.min; uses <= MAX_USES; uses++) {
+      let bucket = this.buckets.get(uses)
+      if (!bucket) continue
+      this.min = uses
+      let entry = bucket.first(except)
+      if (entry) return entry
+    }
+    return except
+  }
+
+}
+
+function keyOf (tableName, id) {
+  return JSON.stringify([tableName, id])
+}
+
+function statsOf ({ hits, misses, evictions, entries, bytes }) {
+  return { hits, misses, evictions, entries: entries.size, bytes }
+}
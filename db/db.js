@@ -1,14 +1,38 @@
 'use strict'
 
-const mkdir = require('mkdir-p')
-const fs = require('fs')
-const readlines = require('n-readlines')
-const chalk = require('chalk')
-const logsym = require('log-symbols')
-const figures = require('figures')
-const util = require('util')
+const EventEmitter = require('events')
+const query = require('./query.js')
+const aggregation = require('./aggregation.js')
+const updates = require('./update.js')
+const keys = require('./keys.js')
+const history = require('./history.js')
+const FieldIndex = require('./fieldindex.js')
+const Cache = require('./cache.js')
+const lock = require('./lock.js')
+const encryption = require('./encryption.js')
+const Journal = require('./journal.js')
+const Transaction = require('./transaction.js')
+const schemas = require('./schema.js')
+const backups = require('./backup.js')
+const transfer = require('./transfer.js')
+const record = require('./record.js')
+const types = require('./types.js')
+const logging = require('./logger.js')
+const { FileStorage, MemoryStorage } = require('./storage.js')
+const {
+  DatabaseError, UniqueConstraintError, CorruptionError, ReadOnlyError,
+  EncryptionError
+} = require('./errors.js')
 
-var requestedShutdowns = 0
+// Instances that are currently saving their data
+// because the process is about to exit
+const shuttingDown = new Set()
+// Whether one of them could not save its data, which makes
+// the process exit with an error
+let shutdownFailed = false
+
+// Signals that make us save data and exit
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGQUIT', 'SIGTERM', 'SIGABRT', 'SIGHUP']
 
 /**
  * Interval used to check if data is ready to be persisted.
@@ -20,41 +44,263 @@ var requestedShutdowns = 0
  */
 const SAVE_DATA_INTERVAL_MS = 60 * 1000 // 1 minute
 
-function log (...messages) {
-  process.stdout.write('[ezpzdb] ')
-  for (let ix in messages) {
-    process.stdout.write(messages[ix].toString())
-    process.stdout.write(' ')
+/**
+ * Options used for everything that is not passed when
+ * creating a new instance. See the constructor for details.
+ */
+const DEFAULT_OPTIONS = {
+  writesToSave: 200,
+  deltaTimeToSave: 10, // in minutes
+  saveDataInterval: SAVE_DATA_INTERVAL_MS, // in milliseconds
+  cacheCollectInterval: 30, // in seconds
+  journal: false,
+  handleSignals: true,
+  compactionThreshold: 0.5,
+  readOnly: false,
+  storage: 'file',
+  logger: null,
+  logLevel: null,
+  cache: {},
+  lock: true,
+  reloadInterval: 1000,
+  encryptionKey: null
+}
+
+// How many records are copied by compact before
+// it lets the event loop do something else
+const COMPACTION_BATCH_SIZE = 1000
+
+// How many bytes cloneTable copies at once
+const COPY_CHUNK_SIZE = 1024 * 1024
+
+/**
+ * Where the new version of a file is written to
+ * before it is moved into place
+ */
+function newFile (file) {
+  return `${file}-new`
+}
+
+/**
+ * Copy a file within the given storage, a chunk at a time
+ */
+function copyFile (storage, from, to) {
+  let handle = storage.open(from)
+  try {
+    let size = storage.size(from)
+    storage.writeFile(to, '')
+    for (let pos = 0; pos < size; pos += COPY_CHUNK_SIZE) {
+      storage.append(to, [
+        storage.read(handle, pos, Math.min(COPY_CHUNK_SIZE, size - pos))])
+    }
+  } finally {
+    storage.close(handle)
+  }
+}
+
+/**
+ * Throws if the given name can't be used for a new table,
+ * since it is used as the name of its directory
+ */
+function checkTableName (name) {
+  if (typeof name !== 'string' || name === '' || name === '.' ||
+      name === '..' || /[/\\]/.test(name)) {
+    throw Error(`Invalid table name ${JSON.stringify(name)}`)
+  }
+}
+
+/**
+ * Contents of the meta file of the given table
+ */
+function metadataOf (table) {
+  return JSON.stringify({
+    key: table.key,
+    lastId: table.lastId,
+    indexes: Object.keys(table.fieldIndexes).map(field => ({
+      field,
+      unique: table.fieldIndexes[field].unique
+    })),
+    schema: table.schema,
+    history: table.history,
+    ttl: table.ttl
+  })
+}
+
+/**
+ * Line of an index file: ID, position and length of its record
+ * (a position of -1 meaning removed)
+ *
+ * key - ID as a key of the index in memory
+ * cipher - Of the database, encrypts natural keys as they are taken
+ *          from the entries (e. g. email addresses)
+ */
+function indexLine (table, key, pos, len, cipher) {
+  let id = keys.format(table.key, keys.parse(table.key, key))
+  if (cipher && table.key.type === 'field') {
+    id = cipher.encrypt(id)
+  }
+  return [id, pos, len].join(',') + '\n'
+}
+
+/**
+ * { key, pos, len } of a line of an index file, null if it is damaged
+ * (or encrypted with another key)
+ */
+function parseIndexLine (line, cipher) {
+  // String IDs are JSON and can contain commas themselves
+  let lenStart = line.lastIndexOf(',')
+  let posStart = line.lastIndexOf(',', lenStart - 1)
+  let pos = Number(line.slice(posStart + 1, lenStart))
+  let len = Number(line.slice(lenStart + 1))
+  let key = line.slice(0, posStart)
+  if (posStart <= 0 || !Number.isInteger(pos) || !Number.isInteger(len)) {
+    return null
+  }
+  if (encryption.isEncrypted(key)) {
+    if (!cipher) return null
+    try {
+      key = cipher.decrypt(key)
+    } catch (err) {
+      return null
+    }
+  }
+  if (key.startsWith('"')) {
+    try {
+      key = JSON.parse(key)
+    } catch (err) {
+      return null
+    }
+  }
+  return { key, pos, len }
+}
+
+/**
+ * Whether the given ID is beyond the point the table is truncated to.
+ * Truncating a table without autoincrement IDs removes everything.
+ */
+function isBeyond (table, id, start) {
+  return !keys.isNumeric(table.key) || id > start
+}
+
+function isTruncated (table, id) {
+  return table.truncate !== -1 && isBeyond(table, id, table.truncate)
+}
+
+/**
+ * Whether the time to live of the given entry is over at the given time
+ */
+function isExpired (table, id, now) {
+  if (table.expiry.size === 0) return false
+  let expiresAt = table.expiry.get(String(id))
+  return expiresAt !== undefined && expiresAt <= now
+}
+
+/**
+ * When the next entry of the table expires, Infinity if none does
+ */
+function nextExpiry (table) {
+  if (table.nextExpiry === null) {
+    table.nextExpiry = Infinity
+    for (let expiresAt of table.expiry.values()) {
+      table.nextExpiry = Math.min(table.nextExpiry, expiresAt)
+    }
+  }
+  return table.nextExpiry
+}
+
+/**
+ * Make the given entry expire at the given time, null for never
+ */
+function setExpiry (table, id, expiresAt) {
+  clearExpiry(table, id)
+  if (expiresAt === null) return
+  table.expiry.set(String(id), expiresAt)
+  if (table.nextExpiry !== null) {
+    table.nextExpiry = Math.min(table.nextExpiry, expiresAt)
   }
-  process.stdout.write('\n')
 }
 
-function errlog (...messages) {
-  process.stderr.write('[ezpzdb error] ')
-  for (let ix in messages) {
-    process.stderr.write(util.inspect(messages[ix]))
-    process.stderr.write(' ')
+function clearExpiry (table, id) {
+  let expiresAt = table.expiry.get(String(id))
+  if (expiresAt === undefined) return
+  table.expiry.delete(String(id))
+  if (expiresAt === table.nextExpiry) table.nextExpiry = null
+}
+
+function checkTTL (ttl) {
+  if (ttl !== null && !(typeof ttl === 'number' && ttl > 0)) {
+    throw Error('ttl has to be a positive number of milliseconds or null')
   }
-  process.stderr.write('\n')
 }
 
-function appendFile(file, mode = 'a') {
-  let stream = fs.createWriteStream(file, { flags: mode })
-  return {
-    append (content) {
-      stream.write(content)
-    },
-    async close () {
-      stream.end()
+/**
+ * Throws a UniqueConstraintError if the given entry would
+ * violate a unique index of the table
+ */
+function checkUnique (tableName, table, item) {
+  for (let field in table.fieldIndexes) {
+    let fieldIndex = table.fieldIndexes[field]
+    let other = fieldIndex.conflict(item)
+    if (other !== null) {
+      throw new UniqueConstraintError(tableName, field,
+        query.getPath(item, field), other)
     }
   }
 }
 
+function addToIndexes (table, item) {
+  for (let field in table.fieldIndexes) {
+    table.fieldIndexes[field].add(item)
+  }
+}
+
+function removeFromIndexes (table, item) {
+  for (let field in table.fieldIndexes) {
+    table.fieldIndexes[field].remove(item)
+  }
+}
+
+/**
+ * Values to look up in a field index for the given condition,
+ * or null if the condition can't be answered by the index
+ * (only plain values, $eq and $in can).
+ */
+function indexableValues (condition) {
+  let isPrimitive = value => value === null ||
+    ['string', 'number', 'boolean'].includes(typeof value)
+  if (isPrimitive(condition)) return [condition]
+  if (!query.isPlainObject(condition)) return null
+  if ('$eq' in condition && isPrimitive(condition.$eq)) {
+    return [condition.$eq]
+  }
+  if (Array.isArray(condition.$in) && condition.$in.every(isPrimitive)) {
+    return condition.$in
+  }
+  return null
+}
+
+/**
+ * Whether the given query matches everything
+ */
+function isEmptyQuery (q) {
+  return q === null || q === undefined ||
+    (query.isPlainObject(q) && Object.keys(q).length === 0)
+}
+
+// Events emitted whenever something in a table changes
+const CHANGE_EVENTS = ['insert', 'update', 'remove', 'truncate', 'expire']
+
 /**
  * This is where all the action happens.
  * We want an instance of this class for every database
+ *
+ * It is an EventEmitter and emits insert, update, remove and truncate
+ * events whenever a table changes. Every event gets an object like
+ * { type, table, id, oldValue, newValue } (truncate gets start
+ * instead of id and values). Once data of a table has been written
+ * to disk, a save event with { type, table } is emitted.
  */
-module.exports = class Database {
+module.exports = class Database extends EventEmitter {
 
   /**
    * Well... a constructor
@@ -71,14 +317,80 @@ module.exports = class Database {
    *                    should be written out.
    * cacheCollectInterval - Seconds to wait until unused items in the cache
    *                        are removed.
+   *
+   * Instead of passing everything after dbpath one by one, you can
+   * also pass an options object as the second parameter, containing
+   * the values above as well as:
+   *
+   * journal - Write every operation to a journal file before it is
+   *           saved so that it can be replayed after a crash.
+   *           Either true or an object like
+   *           { sync: 'always' | 'batch' | 'interval',
+   *             batchSize: 100, interval: 1000 }
+   *           to choose how often the journal is synced to disk.
+   *           Default: false
+   * compactionThreshold - Compact a table after saving when more than
+   *                       this ratio of its data file is taken up by
+   *                       updated or removed records (see compact).
+   *                       false turns this off. Default: 0.5
+   * handleSignals - Save data and exit the process on SIGINT, SIGTERM etc.
+   *                 Turn this off if you have your own shutdown logic
+   *                 and call close() from there instead. Default: true
+   * readOnly - Only read the database, e. g. to inspect it while another
+   *            process is using it. Nothing is ever written, changes
+   *            throw a ReadOnlyError and there are no save timers or
+   *            signal handlers. The journal is not replayed, so you only
+   *            see what has been saved. Any number of read-only instances
+   *            can be used alongside the one that writes. Default: false
+   * lock - Make sure no other instance writes to the database at the same
+   *        time, in this or any other process, by creating a lock file.
+   *        Opening a locked database throws a LockError, locks of
+   *        processes that have died are taken over. Only for file
+   *        storage. Default: true
+   * reloadInterval - Milliseconds between checks of read-only instances
+   *                  whether the database has been saved by the instance
+   *                  that writes, see reload. false turns this off.
+   *                  Default: 1000
+   * encryptionKey - Encrypt entries (as well as secondary indexes and
+   *                 the journal) with this key: a Buffer of 32 bytes,
+   *                 a passphrase or a function returning one of them
+   *                 (synchronously, not a promise).
+   *                 Has to be passed whenever the database is opened,
+   *                 see reencrypt to change it. Default: null
+   * storage - Where to store the database: 'file' for a directory
+   *           at dbpath, 'memory' to keep everything in memory or
+   *           your own storage adapter (see db/storage.js).
+   *           Default: 'file'
+   * logger - Where to log to, anything with debug, info, warn and error
+   *          methods (like console or a pino or winston logger).
+   *          Default: stdout and stderr
+   * logLevel - Only log from this level upwards: debug, info, warn,
+   *            error or silent. Default: info, or debug if you pass
+   *            your own logger
+   * cache - Limits of the cache of entries read from disk, like
+   *         { maxEntries: 10000, maxBytes: 64 * 1024 * 1024,
+   *           policy: 'lru' | 'lfu', tables: { users: { maxEntries: 100 } } }
+   *         See db/cache.js. Default: no limits, lru
    */
   constructor (
     dbpath = 'database',
-    writesToSave = 200,
-    deltaTimeToSave = 10, // in minutes
-    saveDataInterval = SAVE_DATA_INTERVAL_MS, // in milliseconds,
-    cacheCollectInterval = 30 // in seconds
+    writesToSave = DEFAULT_OPTIONS.writesToSave,
+    deltaTimeToSave = DEFAULT_OPTIONS.deltaTimeToSave,
+    saveDataInterval = DEFAULT_OPTIONS.saveDataInterval,
+    cacheCollectInterval = DEFAULT_OPTIONS.cacheCollectInterval
   ) {
+    super()
+    let options = typeof writesToSave === 'object'
+      ? Object.assign({}, DEFAULT_OPTIONS, writesToSave)
+      : Object.assign({}, DEFAULT_OPTIONS, {
+        writesToSave, deltaTimeToSave, saveDataInterval, cacheCollectInterval
+      })
+    this.options = options
+    // Everything is logged through this, see db/logger.js
+    this.logger = logging.create({
+      logger: options.logger,
+      level: options.logLevel
+    })
     // In-memory storage of inserts/updates/removals as well
     // as miscellaneous metadata and information like last ID
     // and whether and where to truncate the table. This is
@@ -88,6 +400,14 @@ module.exports = class Database {
     // Path to the folder containing the database
     // Will be created when saving data if it has not been yet.
     this.dbpath = dbpath
+    // Where all files go, every path below is relative to it
+    if (options.storage === 'file') {
+      this.storage = new FileStorage(dbpath)
+    } else if (options.storage === 'memory') {
+      this.storage = new MemoryStorage()
+    } else {
+      this.storage = options.storage
+    }
     // How many insert/update/remove/truncate operations
     // have been done since the last time data was written out
     this.writes = 0
@@ -99,12 +419,36 @@ module.exports = class Database {
     // have your data written out by now.
     this.lastWrite = Date.now()
     // As explained above
-    this.writesToSave = writesToSave
-    this.deltaTimeToSave = deltaTimeToSave * 60 * 1000
-    this.saveDataInterval = saveDataInterval
-    this.cacheCollectInterval = cacheCollectInterval * 1000
+    this.writesToSave = options.writesToSave
+    this.deltaTimeToSave = options.deltaTimeToSave * 60 * 1000
+    this.saveDataInterval = options.saveDataInterval
+    this.cacheCollectInterval = options.cacheCollectInterval * 1000
+    // Entries read from disk, see get
+    this.cache = new Cache(options.cache)
+    // Write-ahead journal, opened in initialize if enabled
+    this.journal = null
+    // Operations and events of the transaction in progress,
+    // see transaction
+    this.transactionOps = null
+    this.transactionEvents = null
+    // Time of the journal operation that is being replayed, see now
+    this.replayTime = null
     this.forceSave = false
     this.noMoreSaves = false
+    this.closed = false
+    // Timers for saving data and collecting the cache
+    this.saveTimer = null
+    this.cacheTimer = null
+    this.reloadTimer = null
+    this.signalHandler = null
+    // Lock file if this instance holds one, see lock option
+    this.lockFile = null
+    // Incremented by every commit, tells read-only instances whether
+    // there is something new to load (see reload)
+    this.version = 0
+    // Encrypts and decrypts everything if the database is encrypted,
+    // see openCipher
+    this.cipher = null
     // Paths
     let paths = this.paths = {
       tableindex (table) {
@@ -116,20 +460,64 @@ module.exports = class Database {
       tablefilenew (table) {
         return `${paths.tablefile(table)}-new`
       },
+      tables () {
+        return 'tables'
+      },
       tabledir (table) {
-        return `${dbpath}/tables/${table}`
+        return `${paths.tables()}/${table}`
       },
       metadata (table) {
         return `${paths.tabledir(table)}/meta`
+      },
+      fieldindex (table, field) {
+        return `${paths.tabledir(table)}/fieldindex-` +
+          encodeURIComponent(field)
+      },
+      history (table) {
+        return `${paths.tabledir(table)}/history`
+      },
+      expiry (table) {
+        return `${paths.tabledir(table)}/expiry`
+      },
+      journal () {
+        return 'journal'
+      },
+      version () {
+        return 'version'
+      },
+      keyfile () {
+        return 'encryption'
+      },
+      // Tables that are being dropped or cloned
+      tmp () {
+        return 'tmp'
+      },
+      commit () {
+        return 'commit'
       }
     }
+    if (!options.readOnly && options.lock &&
+        this.storage instanceof FileStorage) {
+      this.lockFile = lock.acquire(dbpath)
+    }
     // Read the table indices etc. into memory if the database exists
-    this.initialize()
-    process.on("SIGINT",  () => this.gracefulShutdown());
-    process.on("SIGQUIT", () => this.gracefulShutdown());
-    process.on("SIGTERM", () => this.gracefulShutdown());
-    process.on("SIGABRT", () => this.gracefulShutdown());
-    process.on("SIGHUP",  () => this.gracefulShutdown());
+    try {
+      this.initialize()
+    } catch (err) {
+      this.releaseLock()
+      throw err
+    }
+    if (options.readOnly) {
+      this.setTimeoutForReload()
+      this.setTimeoutForCache()
+      return
+    }
+    if (options.handleSignals) {
+      this.signalHandler = () => this.gracefulShutdown()
+      for (let signal of SHUTDOWN_SIGNALS) {
+        process.on(signal, this.signalHandler)
+      }
+    }
     // Now start the timer for data saves
     this.setTimeoutForSaveData()
     // And the timer for the cache
@@ -137,25 +525,34 @@ module.exports = class Database {
   }
 
   gracefulShutdown () {
-    log(logsym.info, `Graceful shutdown requested (${this.dbpath})`)
-    requestedShutdowns++
-    log(' ', 'Saving data to disk...')
+    this.logger.info(`Graceful shutdown requested (${this.dbpath})`)
+    shuttingDown.add(this)
+    this.logger.debug('Saving data to disk...')
     this.forceSave = true
     this.noMoreSaves = true
-    this.saveData(() => {
-      requestedShutdowns--
-      if (requestedShutdowns !== 0) {
-        log(logsym.info, `Databases left to save data: ${requestedShutdowns}`)
+    this.saveInBackground(err => {
+      shuttingDown.delete(this)
+      if (err) {
+        this.logger.error(`Data of ${this.dbpath} could not be saved`)
+        shutdownFailed = true
       } else {
-        log(logsym.success, 'All data has been saved to disk.')
-        log(logsym.info, 'This process will exit shortly')
+        this.releaseLock()
+      }
+      if (shuttingDown.size !== 0) {
+        this.logger.info(`Databases left to save data: ${shuttingDown.size}`)
+      } else if (shutdownFailed) {
+        this.logger.error('Not all data could be saved, exiting with an error')
+        setTimeout(() => require('exeunt')(1), 50)
+      } else {
+        this.logger.info('All data has been saved to disk, ' +
+                         'this process will exit shortly')
         // This is to make sure that all data is REALLY written out
         // The exit is delayed and scheduled out so that it eventually
         // happens when all the other async stuff is done
         setTimeout(() => {
           (async () => {
             setTimeout(() => {
-              log(logsym.warning, 'Exiting now!')
+              this.logger.info('Exiting now!')
               require('exeunt')(0)
             }, 50)
           })()
@@ -171,71 +568,553 @@ module.exports = class Database {
    * Only use this once - when the instance is created
    */
   initialize () {
-    log('Initializing...')
-    if (!fs.existsSync(this.dbpath)) {
-      log('New database, will be created once data is saved')
+    this.logger.debug('Initializing...')
+    if (this.storage.exists(this.paths.commit())) {
+      if (this.options.readOnly) {
+        throw new DatabaseError(`${this.dbpath} has an interrupted save, ` +
+                                'open it without readOnly to finish it')
+      }
+      this.logger.warn('Finishing interrupted save...')
+      this.finishCommit()
+    }
+    if (!this.options.readOnly &&
+        this.storage.list(this.paths.tmp()).length !== 0) {
+      // Left behind by dropTable or cloneTable
+      this.storage.removeDir(this.paths.tmp())
+    }
+    this.version = this.readVersion()
+    this.cipher = this.openCipher()
+    let tableNames = this.storage.list(this.paths.tables())
+    if (tableNames.length === 0) {
+      this.logger.debug('New database, will be created once data is saved')
     } else {
-      log('Reading index into memory...')
-      let tableNames = fs.readdirSync(this.paths.tabledir(''))
-      for (let ix in tableNames) {
-        let tableName = tableNames[ix]
-        log(' ', chalk.blue.bold(figures.arrowRight), tableName)
+      this.logger.debug('Reading index into memory...')
+      for (let tableName of tableNames) {
+        this.loadTable(tableName)
+        this.logger.debug(`Loaded ${Object.keys(
+          this.tables[tableName].index).length} items for ${tableName}`)
+      }
+      for (let tableName of tableNames) {
+        let table = this.tables[tableName]
+        if (!table.checksums && !this.options.readOnly) {
+          this.logger.info(`Adding checksums to ${tableName}`)
+          this.compact(tableName).catch(err => this.reportError(err))
+        }
+      }
+    }
+    if (this.options.journal && !this.options.readOnly) {
+      if (!(this.storage instanceof FileStorage)) {
+        throw Error('The journal only works with file storage')
+      }
+      let journal = new Journal(this.storage.resolve(this.paths.journal()),
+        this.options.journal === true ? {} : this.options.journal,
+        this.cipher)
+      this.replayJournal(journal.replay())
+      this.journal = journal
+    }
+  }
+
+  /**
+   * Read the index, meta data and secondary indexes of a table
+   * into memory. If they don't match the data file (e. g. because
+   * the process died while writing them with an older version or
+   * something else messed with them), the table is repaired right
+   * away, see repair. Read-only databases repair it in memory only.
+   *
+   * tableName - Name of the table to load
+   */
+  loadTable (tableName) {
+    let table = this.createTable(tableName)
+    let problems = []
+    let metadata = {}
+    try {
+      metadata = JSON.parse(
+        this.storage.readFile(this.paths.metadata(tableName)))
+    } catch (err) {
+      problems.push(`meta file can't be read (${err.message})`)
+    }
+    table.key = metadata.key || keys.normalize()
+    table.lastId = metadata.lastId || 0
+    table.schema = metadata.schema || null
+    table.history = metadata.history || null
+    if (table.history) {
+      this.loadHistory(tableName)
+    }
+    table.ttl = metadata.ttl || null
+    let expiryFile = this.paths.expiry(tableName)
+    if (this.storage.exists(expiryFile)) {
+      try {
+        table.expiry = new Map(JSON.parse(this.unseal(
+          this.storage.readFile(expiryFile))))
+        table.nextExpiry = null
+      } catch (err) {
+        this.logger.warn(`${tableName}: expiry file can't be read, ` +
+                         `entries won't expire (${err.message})`)
+      }
+    }
+    let dataFile = this.paths.tablefile(tableName)
+    table.dataSize = Math.max(this.storage.size(dataFile), 0)
+    if (table.dataSize !== 0) {
+      let handle = this.storage.open(dataFile)
+      table.checksums = !record.isLegacy(this.storage.read(handle, 0, 1))
+      this.storage.close(handle)
+    }
+    // The index is appended to on every save, later lines
+    // replace earlier ones and a position of -1 means removed
+    if (this.storage.exists(this.paths.tableindex(tableName))) {
+      let lines = this.storage.readFile(this.paths.tableindex(tableName))
+        .toString().split('\n')
+      let lineNumber = 0
+      for (let line of lines) {
+        lineNumber++
+        if (line === '') continue
+        let parsed = parseIndexLine(line, this.cipher)
+        if (parsed === null) {
+          problems.push(`line ${lineNumber} of the index is damaged`)
+        } else if (parsed.pos === -1) {
+          delete table.index[parsed.key]
+        } else {
+          table.index[parsed.key] = { pos: parsed.pos, len: parsed.len }
+        }
+      }
+    } else if (table.dataSize !== 0) {
+      problems.push('index file is missing')
+    }
+    let liveSize = 0
+    for (let id in table.index) {
+      let { pos, len } = table.index[id]
+      if (pos + len > table.dataSize) {
+        problems.push(`entry ${id} is past the end of the data file`)
+      }
+      liveSize += len
+    }
+    table.deadSize = table.dataSize - liveSize
+    for (let definition of metadata.indexes || []) {
+      let file = this.paths.fieldindex(tableName, definition.field)
+      try {
+        table.fieldIndexes[definition.field] =
+          FieldIndex.fromJSON(JSON.parse(this.unseal(
+            this.storage.readFile(file))))
+        continue
+      } catch (err) {
+        // Missing or damaged, rebuild it
+      }
+      if (problems.length !== 0) {
+        // Rebuilt by repairTable
+        table.fieldIndexes[definition.field] =
+          new FieldIndex(definition.field, definition.unique)
+      } else if (this.options.readOnly) {
+        this.logger.warn(`Index on ${definition.field} of ${tableName} ` +
+          'is missing, queries will go through the whole table')
+      } else {
+        this.logger.warn(
+          `Rebuilding missing index on ${definition.field} of ${tableName}`)
+        this.createIndex(tableName, definition.field, definition)
+      }
+    }
+    if (problems.length === 0) return
+    for (let problem of problems) {
+      this.logger.warn(`${tableName}: ${problem}`)
+    }
+    if (!table.checksums) {
+      // Nothing to rebuild the index from, keep what can be read
+      this.logger.error(`${tableName} has been written by an older ` +
+        'version and can\'t be repaired, entries past the end are dropped')
+      for (let id in table.index) {
+        let { pos, len } = table.index[id]
+        if (pos + len > table.dataSize) delete table.index[id]
+      }
+      return
+    }
+    this.logger.warn(`Repairing ${tableName} from its data file...`)
+    this.repairTable(tableName)
+  }
+
+  /**
+   * Read where the versions in the history file of the given table are.
+   * Versions that the retention policy doesn't keep anymore are
+   * dropped right away, they are removed from the file with the next
+   * rewrite (see planHistory).
+   */
+  loadHistory (tableName) {
+    let table = this.tables[tableName]
+    let file = this.paths.history(tableName)
+    if (!this.storage.exists(file)) return
+    let versions = new Map()
+    for (let { pos, len, item, error, incomplete } of
+         record.scan(this.storage, file, { cipher: this.cipher })) {
+      if (!item) {
+        // The versions around it can still be read
+        if (!incomplete) {
+          this.logger.warn(`${tableName}: version at byte ${pos} of the ` +
+                           `history can't be read (${error})`)
+        }
+        continue
+      }
+      let key = String(item.id)
+      if (!versions.has(key)) versions.set(key, [])
+      versions.get(key).push({ revision: item.revision,
+                               timestamp: item.timestamp,
+                               removed: item.item === null, pos, len })
+    }
+    let now = Date.now()
+    let liveSize = 0
+    for (let [key, list] of versions) {
+      let kept = history.prune(list, table.history, now)
+      if (kept.length === 0) {
+        versions.delete(key)
+        continue
+      }
+      versions.set(key, kept)
+      for (let { len } of kept) liveSize += len
+    }
+    table.versions = versions
+    table.historySize = this.storage.size(file)
+    table.historyDeadSize = table.historySize - liveSize
+  }
+
+  /**
+   * Apply operations from the journal that did not make it
+   * into a save before the process died.
+   * Replaying can happen more than once for the same operation
+   * (if the process died during a save), which is why inserts
+   * of IDs that are already on disk are treated as updates.
+   *
+   * ops - Operations as read from the journal
+   */
+  replayJournal (ops) {
+    if (ops.length === 0) return
+    this.logger.info(`Replaying ${ops.length} operations from the journal...`)
+    for (let operation of ops) {
+      // Versions in the history and expiry times are
+      // based on the time of the operation
+      this.replayTime = operation.time || Date.now()
+      try {
+        this.replayOperation(operation)
+      } finally {
+        this.replayTime = null
+      }
+    }
+    this.logger.debug('Journal replayed')
+  }
+
+  /**
+   * Apply a single operation from the journal
+   */
+  replayOperation ({ op, table: tableName, data, id, start, field, unique,
+                     schema, key, policy, ttl, expiresAt = null, ops }) {
+    switch (op) {
+      case 'insert': {
         let table = this.createTable(tableName)
-        let liner = new readlines(this.paths.tableindex(tableName));
-        let metadata = JSON.parse(
-          fs.readFileSync(this.paths.metadata(tableName)))
-        table.lastId = metadata.lastId
-        let next
-        while (next = liner.next()) {
-          let split = next.toString().split(',')
-          let indexEntry = table.index[split[0]] = {
-            pos: parseInt(split[1]),
-            len: parseInt(split[2])
+        if (table.index[data.id] && !isTruncated(table, data.id) &&
+            !table.removals.includes(data.id)) {
+          this.replaceEntry(tableName, data,
+            this.lookup(tableName, data.id, null, { expired: true }))
+          setExpiry(table, data.id, expiresAt)
+          if (keys.isNumeric(table.key)) {
+            table.lastId = Math.max(table.lastId, data.id)
           }
+        } else {
+          this.insertEntry(tableName, data, data.id, { expiresAt })
         }
-        log(' ', logsym.success,
-          `Loaded ${Object.keys(table.index).length} items for ${tableName}`)
+        break
+      }
+      case 'replace':
+        this.replaceEntry(tableName, data, this.get(tableName, data.id))
+        break
+      case 'remove':
+        this.remove(tableName, id)
+        break
+      case 'truncate':
+        this.truncate(tableName, start)
+        break
+      case 'createTable':
+        this.createTable(tableName, { key })
+        break
+      case 'createIndex':
+        this.createIndex(tableName, field, { unique })
+        break
+      case 'defineTable':
+        this.createTable(tableName).schema = schema
+        this.tables[tableName].metaChanged = true
+        break
+      case 'enableHistory':
+        this.enableHistory(tableName, policy)
+        break
+      case 'disableHistory':
+        this.disableHistory(tableName)
+        break
+      case 'setDefaultTTL':
+        this.setDefaultTTL(tableName, ttl)
+        break
+      case 'expireAt':
+        this.expireAt(tableName, id, expiresAt)
+        break
+      case 'transaction':
+        // It's in the journal, so it has been committed
+        for (let operation of ops) {
+          this.replayOperation(operation)
+        }
+        break
+    }
+  }
+
+  /**
+   * Append an operation to the journal (if enabled).
+   * Operations of a transaction are collected and only appended
+   * as a whole once the transaction succeeded.
+   */
+  journalAppend (operation) {
+    if (this.transactionOps) {
+      // Copy it, the transaction could still change the data
+      this.transactionOps.push(types.parse(types.stringify(operation)))
+    } else if (this.journal) {
+      this.journal.append(Object.assign({ time: this.now() }, operation))
+    }
+  }
+
+  /**
+   * Current time in milliseconds, or the time of the operation
+   * from the journal that is being replayed
+   */
+  now () {
+    return this.replayTime === null ? Date.now() : this.replayTime
+  }
+
+  /**
+   * Save all data now, no matter how many writes there have been.
+   * Returns a promise that is resolved once the data is on disk
+   * and rejected if saving failed.
+   */
+  flush () {
+    this.forceSave = true
+    return Promise.resolve(this.saveData())
+  }
+
+  /**
+   * Save all data and stop everything this instance does in the
+   * background (timers, signal handlers, open files) without exiting
+   * the process. Other instances are not affected.
+   * Don't use this instance anymore once the returned promise is resolved.
+   */
+  async close () {
+    if (this.closed) return
+    this.closed = true
+    this.noMoreSaves = true
+    clearTimeout(this.saveTimer)
+    clearTimeout(this.cacheTimer)
+    clearTimeout(this.reloadTimer)
+    if (this.signalHandler) {
+      for (let signal of SHUTDOWN_SIGNALS) {
+        process.removeListener(signal, this.signalHandler)
+      }
+      this.signalHandler = null
+    }
+    try {
+      await this.flush()
+      await Promise.all(Object.keys(this.tables)
+        .map(tableName => this.tables[tableName].compaction))
+    } finally {
+      if (this.journal) {
+        this.journal.close()
+        this.journal = null
+      }
+      this.releaseLock()
+    }
+  }
+
+  releaseLock () {
+    if (this.lockFile !== null) {
+      lock.release(this.lockFile)
+      this.lockFile = null
+    }
+  }
+
+  /**
+   * Cipher for the encryptionKey option, null if the database isn't
+   * encrypted. The key is checked against the key file, which is
+   * created if the database hasn't been encrypted so far.
+   */
+  openCipher () {
+    let key = this.options.encryptionKey
+    let file = this.paths.keyfile()
+    if (this.storage.exists(file)) {
+      if (key === null) {
+        throw new EncryptionError(`${this.dbpath} is encrypted, pass ` +
+                                  'its key as the encryptionKey option')
+      }
+      return encryption.open(this.storage.readFile(file).toString(),
+                             key, this.dbpath)
+    }
+    if (key === null) return null
+    let { cipher, keyFile } = encryption.create(key)
+    if (!this.options.readOnly) {
+      this.storage.writeFile(file, keyFile)
+    }
+    return cipher
+  }
+
+  /**
+   * Encrypt the content of a file other than a data file
+   * if the database is encrypted
+   */
+  seal (text) {
+    return this.cipher ? this.cipher.encrypt(text) : text
+  }
+
+  /**
+   * Read what has been written by seal
+   */
+  unseal (buf) {
+    let text = buf.toString()
+    if (!encryption.isEncrypted(text)) return text
+    if (!this.cipher) {
+      throw new EncryptionError(`${this.dbpath} is encrypted, pass ` +
+                                'its key as the encryptionKey option')
+    }
+    return this.cipher.decrypt(text)
+  }
+
+  /**
+   * Let read-only instances know that tables have been changed
+   * without a commit, see reload
+   */
+  bumpVersion () {
+    let file = this.paths.version()
+    this.version++
+    this.storage.writeFile(newFile(file), String(this.version))
+    this.storage.rename(newFile(file), file)
+  }
+
+  readVersion () {
+    let file = this.paths.version()
+    return this.storage.exists(file)
+      ? Number(this.storage.readFile(file).toString()) : 0
+  }
+
+  /**
+   * Load all tables again if the database has been saved since they
+   * have been loaded, which read-only instances do every reloadInterval
+   * milliseconds to see what the instance that writes has saved.
+   * Emits a reload event if something has changed.
+   * Returns whether the tables have been loaded again.
+   */
+  reload () {
+    if (!this.options.readOnly) {
+      throw Error('Only read-only instances can be reloaded')
+    }
+    let saving = () => this.storage.exists(this.paths.commit())
+    if (saving()) return false
+    let version = this.readVersion()
+    if (version === this.version) return false
+    let tables = this.tables
+    let cipher = this.cipher
+    this.tables = {}
+    try {
+      // The key could have changed, see reencrypt
+      this.cipher = this.openCipher()
+      for (let tableName of this.storage.list(this.paths.tables())) {
+        this.loadTable(tableName)
       }
+    } catch (err) {
+      this.tables = tables
+      this.cipher = cipher
+      throw err
+    }
+    // Saved again in the meantime, what has been loaded could
+    // be a mix of both saves. Try again next time.
+    if (saving() || this.readVersion() !== version) {
+      this.tables = tables
+      this.cipher = cipher
+      return false
     }
+    for (let tableName in tables) {
+      this.cache.clearTable(tableName)
+    }
+    this.version = version
+    this.emit('reload', { type: 'reload' })
+    return true
+  }
+
+  setTimeoutForReload () {
+    if (this.closed || this.options.reloadInterval === false) return
+    this.reloadTimer = setTimeout(() => {
+      try {
+        this.reload()
+      } catch (err) {
+        this.reportError(err)
+      }
+      this.setTimeoutForReload()
+    }, this.options.reloadInterval)
   }
 
   setTimeoutForSaveData () {
-    setTimeout(this.saveData.bind(this), this.saveDataInterval)
+    this.saveTimer = setTimeout(() => this.saveInBackground(),
+                                this.saveDataInterval)
+  }
+
+  /**
+   * Called after saving, the timer keeps on running unless this
+   * was a forced save (which doesn't stop the timer in the first place)
+   */
+  scheduleNextSave () {
+    if (this.forceSave) {
+      this.forceSave = false
+    } else if (!this.noMoreSaves) {
+      this.setTimeoutForSaveData()
+    }
+  }
+
+  /**
+   * saveData for when nobody is waiting for the result,
+   * failures are reported through reportError
+   *
+   * callback - Called with the error (or null) once done
+   */
+  saveInBackground (callback = null) {
+    Promise.resolve(this.saveData()).then(() => null, err => {
+      this.reportError(err)
+      return err
+    }).then(err => {
+      if (callback) callback(err)
+    })
+  }
+
+  /**
+   * Report an error of something that happened in the background.
+   * It is logged and emitted as an error event if there are listeners
+   * (an error event without listeners would crash the process).
+   */
+  reportError (err) {
+    this.logger.error(err)
+    if (this.listenerCount('error') !== 0) {
+      this.emit('error', err)
+    }
   }
 
   setTimeoutForCache () {
-    setTimeout(this.collectCache.bind(this), this.cacheCollectInterval)
+    if (this.closed) return
+    this.cacheTimer = setTimeout(this.collectCache.bind(this),
+                                 this.cacheCollectInterval)
   }
 
   /**
    * Remove items from the cache that are considered unused.
-   * Every cache entry has a timesUsed attribute which indicates
-   * how likely it is for that item to be used again.
-   * Every time it is used, timesUsed will be incremented.
-   * When collectCache is invoked, it will check in which cache
-   * entries timesUsed is equal to 0, and if that is true, it will
-   * remove that from the cache. Otherwise timesUsed will be decremented.
+   * Every cache entry counts how often it has been used, which
+   * indicates how likely it is for that item to be used again.
+   * When collectCache is invoked, entries that haven't been used
+   * since the last collection are removed, the count of everything
+   * else is decremented.
    */
   collectCache () {
-    log(logsym.info, 'Starting cache collection')
-    let itemsCleared = 0
-    let newTotal = 0
-    for (let tableName in this.tables) {
-      for (let id in this.tables[tableName].cache) {
-        let cacheEntry = this.tables[tableName].cache[id]
-        if (!cacheEntry) continue
-        if (cacheEntry.timesUsed === 0) {
-          delete this.tables[tableName].cache[id]
-          itemsCleared++
-        } else {
-          cacheEntry.timesUsed--
-        }
-      }
-      newTotal += Object.keys(this.tables[tableName].cache).length
+    if (!this.options.readOnly) {
+      this.expire()
     }
-    log(logsym.success,
+    this.logger.debug('Starting cache collection')
+    let itemsCleared = this.cache.collect()
+    this.logger.debug(
       `Cache collection done, removed ${itemsCleared} items, new total: ` +
-      newTotal
+      this.cache.entries.size
       )
     this.setTimeoutForCache()
   }
@@ -275,245 +1154,1983 @@ module.exports = class Database {
    * them from disk or using the cache.
    *
    */
-  saveData (callback = null) {
-    if (this.writes > this.writesToSave ||
+  saveData () {
+    if (this.options.readOnly) return
+    // Only if called by the callback of a transaction, which has to be
+    // over before anything can be saved. Forced saves fail in writeOut.
+    let inTransaction = this.transactionOps !== null
+    if (!inTransaction) {
+      // Saved along with everything else
+      this.expire()
+    }
+    if ((!inTransaction && (this.writes > this.writesToSave ||
         (this.writes > 0 &&
-          Date.now() - this.lastWrite > this.deltaTimeToSave) ||
+          Date.now() - this.lastWrite > this.deltaTimeToSave))) ||
         this.forceSave) {
-      return new Promise((resolve, reject) => {
-        log('Saving data')
-        for (let tableName in this.tables) {
-          log(' ', chalk.blue.bold(figures.arrowRight), tableName)
-          let table = this.tables[tableName]
-          if (table.inserts.length + table.updates.length +
-              table.removals.length + table.truncate === -1) {
-            log(logsym.info, 'No new data to save')
-            continue
-          }
-          let beginTime = Date.now()
-          mkdir.sync(this.paths.tabledir(tableName))
-          let file = appendFile(this.paths.tablefilenew(tableName))
-          let fd = fs.openSync(this.paths.tablefile(tableName), 'a+')
-          fs.closeSync(fs.openSync(this.paths.tableindex(tableName), 'w'))
-          let ixfile = appendFile(this.paths.tableindex(tableName))
-          let curoffs = 0
-          for (let id in table.index) {
-            if (! (table.removals.includes(id) ||
-                (table.truncate !== -1 && id > table.truncate))) {
-              let updateIndex = table.updates.findIndex(item => {
-                item.id === id
-              })
-              let len
-              if (updateIndex !== -1) {
-                let data
-                file.append(data = JSON.stringify(table.updates[updateIndex]))
-                len = data.length
-              } else {
-                let buf = new Buffer(table.index[id].len)
-                fs.readSync(fd, buf, 0, buf.length, table.index[id].pos)
-                file.append(buf)
-                len = buf.length
-              }
-              table.index[id] = {
-                pos: curoffs,
-                len
-              }
-              ixfile.append([id, curoffs, len].join(','))
-              ixfile.append('\n')
-              curoffs += len
-            }
-          }
-          fs.closeSync(fd)
-          for (let ix in table.inserts) {
-            let insert = table.inserts[ix]
-            let data
-            file.append(data = JSON.stringify(insert))
-            ixfile.append([insert.id, curoffs, data.length].join(','))
-            ixfile.append('\n')
-            table.index[insert.id] = {
-              pos: curoffs,
-              len: data.length
-            }
-            curoffs += data.length
-          }
-          file.close()
-          ixfile.close()
-          fs.renameSync(this.paths.tablefilenew(tableName),
-                        this.paths.tablefile(tableName))
-          table.truncate = -1
-          table.inserts.length = 0
-          table.updates.length = 0
-          table.removals.length = 0
-          fs.writeFileSync(this.paths.metadata(tableName), JSON.stringify({
-            lastId: table.lastId
-          }))
-          let deltaTime = Date.now() - beginTime
-          log(' ', logsym.success, `Done, ${deltaTime/1000} s`)
-        }
-
-        this.writes = 0
-        this.lastWrite = Date.now()
-        resolve()
-      }).then(() => {
-        log('Data saved successfully')
-        if (this.forceSave) {
-          this.forceSave = false
-        } else if (!this.noMoreSaves) {
-          this.setTimeoutForSaveData()
-        }
-        if (callback) callback()
-      }).catch(err => errlog(err))
+      return new Promise(resolve => resolve(this.writeOut()))
+        .then(tableNames => {
+          this.logger.debug('Data saved successfully')
+          this.compactIfNeeded(tableNames)
+          this.scheduleNextSave()
+        }, err => {
+          this.scheduleNextSave()
+          throw err
+        })
     } else if (!this.noMoreSaves) {
       this.setTimeoutForSaveData()
     }
   }
 
   /**
-   * Checks whether the given table exists
-   * table - Name of the table to check for
+   * The part of saveData that actually writes everything to disk,
+   * synchronously. Returns the names of the tables that have been
+   * saved and throws if saving failed (after undoing what has been
+   * written so far).
    */
-  tableExists (table) {
-    return !!this.tables[table]
-  }
-
-  /**
-   * Create a table if it does not exist
+  writeOut () {
+    if (this.transactionOps !== null) {
+      // It could still be rolled back, which only happens in memory
+      throw Error('Data can\'t be saved while a transaction is in progress')
+    }
+    this.logger.debug('Saving data')
+    let tableNames = Object.keys(this.tables).filter(tableName => {
+      let table = this.tables[tableName]
+      return table.inserts.length + table.updates.length +
+        table.removals.length + table.truncate !== -1 ||
+        table.metaChanged || table.pendingVersions.length !== 0
+    })
+    // New records are appended to the data file and their
+    // positions to the index, while meta files are written to new
+    // files and moved into place at the end. Before anything is
+    // written, the current sizes are recorded so that a save (and
+    // thus every transaction in it) either makes it to disk
+    // completely or not at all. See beginCommit and commit.
+    let sizes = {}
+    let renames = []
+    let plans = {}
+    let expiring = new Set()
+    for (let tableName of tableNames) {
+      let table = this.tables[tableName]
+      for (let file of [this.paths.tablefile(tableName),
+                        this.paths.tableindex(tableName)]) {
+        sizes[file] = this.storage.size(file)
+      }
+      let files = [this.paths.metadata(tableName)]
+      for (let field in table.fieldIndexes) {
+        files.push(this.paths.fieldindex(tableName, field))
+      }
+      if (table.expiry.size !== 0 ||
+          this.storage.exists(this.paths.expiry(tableName))) {
+        expiring.add(tableName)
+        files.push(this.paths.expiry(tableName))
+      }
+      if (table.history) {
+        plans[tableName] = this.planHistory(table)
+        let file = this.paths.history(tableName)
+        if (plans[tableName].rewrite) {
+          files.push(file)
+        } else {
+          sizes[file] = this.storage.size(file)
+        }
+      }
+      for (let file of files) {
+        renames.push([newFile(file), file])
+      }
+    }
+    if (tableNames.length !== 0) {
+      this.beginCommit(sizes, renames)
+    }
+    let saved = []
+    try {
+      for (let tableName of tableNames) {
+        let table = this.tables[tableName]
+        let beginTime = Date.now()
+        let records = []
+        let lines = []
+        // Entries are replaced, never changed, compact relies on that
+        let index = Object.assign(Object.create(null), table.index)
+        let curoffs = Math.max(sizes[this.paths.tablefile(tableName)], 0)
+        let deadSize = table.deadSize
+        let unindex = id => {
+          deadSize += index[id].len
+          delete index[id]
+        }
+        let removals = new Set(table.removals)
+        for (let key in table.index) {
+          let id = keys.parse(table.key, key)
+          if (removals.has(id) || isTruncated(table, id)) {
+            // Written to the data file as well for repair
+            let data = record.encodeRemoval(id, this.cipher)
+            records.push(data)
+            curoffs += Buffer.byteLength(data)
+            deadSize += Buffer.byteLength(data)
+            lines.push(indexLine(table, key, -1, 0, this.cipher))
+            unindex(key)
+          }
+        }
+        let updates = table.updates.filter(update => index[update.id])
+        for (let item of updates.concat(table.inserts)) {
+          let data = record.encode(item, this.cipher)
+          records.push(data)
+          let len = Buffer.byteLength(data)
+          lines.push(indexLine(table, item.id, curoffs, len, this.cipher))
+          if (index[item.id]) unindex(item.id)
+          index[item.id] = {
+            pos: curoffs,
+            len
+          }
+          curoffs += len
+        }
+        this.storage.append(this.paths.tablefile(tableName), records)
+        this.storage.append(this.paths.tableindex(tableName), lines)
+        for (let field in table.fieldIndexes) {
+          this.storage.writeFile(
+            newFile(this.paths.fieldindex(tableName, field)),
+            this.seal(JSON.stringify(table.fieldIndexes[field])))
+        }
+        if (expiring.has(tableName)) {
+          this.storage.writeFile(newFile(this.paths.expiry(tableName)),
+            this.seal(JSON.stringify(Array.from(table.expiry))))
+        }
+        this.storage.writeFile(newFile(this.paths.metadata(tableName)),
+          metadataOf(table))
+        let versions = plans[tableName]
+          ? this.writeHistory(tableName, plans[tableName]) : null
+        saved.push({
+          tableName, table, index, dataSize: curoffs, deadSize, versions
+        })
+        let deltaTime = Date.now() - beginTime
+        this.logger.debug(`Saved ${tableName}, ${deltaTime/1000} s`)
+      }
+
+      this.commit(renames)
+    } catch (err) {
+      // Undo what has been written so far (or finish the commit
+      // if it got that far) so that the next save starts clean
+      if (this.storage.exists(this.paths.commit())) {
+        this.finishCommit()
+      }
+      throw err
+    }
+    for (let { table, index, dataSize, deadSize, versions } of saved) {
+      table.index = index
+      table.dataSize = dataSize
+      table.deadSize = deadSize
+      if (versions) {
+        Object.assign(table, versions)
+        table.pendingVersions = []
+      }
+      table.truncate = -1
+      table.inserts.length = 0
+      table.updates.length = 0
+      table.removals.length = 0
+      table.metaChanged = false
+    }
+    for (let { tableName } of saved) {
+      this.emit('save', { type: 'save', table: tableName })
+    }
+    if (this.journal) {
+      this.journal.truncate()
+    }
+    this.writes = 0
+    this.lastWrite = Date.now()
+    return saved.map(({ tableName }) => tableName)
+  }
+
+  /**
+   * What saving the history of the given table is going to do:
+   * versions that its retention policy doesn't keep anymore are
+   * dropped, and once they take up more than compactionThreshold of
+   * the history file, it is rewritten without them.
+   * Returns { versions, pending, deadSize, rewrite } with the saved
+   * and pending versions that are kept.
+   */
+  planHistory (table) {
+    let now = Date.now()
+    let pendingOf = new Map()
+    for (let version of table.pendingVersions) {
+      let key = String(version.id)
+      if (!pendingOf.has(key)) pendingOf.set(key, [])
+      pendingOf.get(key).push(version)
+    }
+    let versions = new Map()
+    let pending = []
+    let deadSize = table.historyDeadSize
+    let ids = new Set(table.versions.keys())
+    for (let key of pendingOf.keys()) ids.add(key)
+    for (let key of ids) {
+      let saved = table.versions.get(key) || []
+      let kept = history.prune(saved.concat(pendingOf.get(key) || []),
+                               table.history, now)
+      let keptSaved = kept.filter(version => 'pos' in version)
+      for (let ix = 0; ix < saved.length - keptSaved.length; ix++) {
+        // Pruning only ever drops the oldest versions
+        deadSize += saved[ix].len
+      }
+      if (keptSaved.length !== 0) versions.set(key, keptSaved)
+      pending.push(...kept.filter(version => !('pos' in version)))
+    }
+    let rewrite = deadSize !== 0 &&
+      deadSize > table.historySize * this.options.compactionThreshold
+    return { versions, pending, deadSize, rewrite }
+  }
+
+  /**
+   * Write what planHistory came up with, either appending to the
+   * history file or writing a new one (moved into place by commit).
+   * Returns what the history of the table looks like afterwards.
+   */
+  writeHistory (tableName, { versions, pending, deadSize, rewrite }) {
+    let file = this.paths.history(tableName)
+    let target = file
+    let curoffs = Math.max(this.storage.size(file), 0)
+    if (rewrite) {
+      target = newFile(file)
+      let copied = this.copyHistory(tableName, versions)
+      versions = copied.versions
+      curoffs = copied.size
+      deadSize = 0
+    }
+    let records = []
+    for (let { id, revision, timestamp, item, removed } of pending) {
+      let data = record.encode({ id, revision, timestamp, item }, this.cipher)
+      records.push(data)
+      let len = Buffer.byteLength(data)
+      let key = String(id)
+      if (!versions.has(key)) versions.set(key, [])
+      versions.get(key).push({ revision, timestamp, removed,
+                               pos: curoffs, len })
+      curoffs += len
+    }
+    this.storage.append(target, records)
+    return { versions, historySize: curoffs, historyDeadSize: deadSize }
+  }
+
+  /**
+   * Write the given saved versions of a table to a new history file
+   * (which commit moves into place), passing every record through
+   * convert on the way. Returns { versions, size } with the versions
+   * at their new positions and the size of the new file.
+   */
+  copyHistory (tableName, versions, convert = buf => buf) {
+    let file = this.paths.history(tableName)
+    let copied = new Map()
+    let size = 0
+    let records = []
+    let handle = this.storage.open(file)
+    try {
+      this.storage.writeFile(newFile(file), '')
+      for (let [key, list] of versions) {
+        copied.set(key, list.map(version => {
+          let data = convert(
+            this.storage.read(handle, version.pos, version.len))
+          records.push(data)
+          if (records.length === COMPACTION_BATCH_SIZE) {
+            this.storage.append(newFile(file), records)
+            records = []
+          }
+          let moved = Object.assign({}, version,
+                                    { pos: size, len: data.length })
+          size += data.length
+          return moved
+        }))
+      }
+      this.storage.append(newFile(file), records)
+    } finally {
+      this.storage.close(handle)
+    }
+    return { versions: copied, size }
+  }
+
+  /**
+   * Remember what saveData is about to do before it does it.
+   * If the process dies while saving, initialize uses this
+   * to undo everything that has been written so far.
+   *
+   * sizes - Sizes of the files that are appended to
+   *         before appending (-1 if they don't exist yet)
+   * renames - Array of [newFile, file] pairs that are going to be
+   *           moved into place by commit
+   */
+  beginCommit (sizes, renames) {
+    this.storage.writeFile(this.paths.commit(), JSON.stringify({
+      state: 'writing',
+      sizes,
+      renames
+    }))
+  }
+
+  /**
+   * Move the files written by saveData (or compact) into place.
+   * The list of files is written to disk first, so that if the
+   * process dies in the middle of this, initialize can finish the job
+   * instead of ending up with some tables saved and others not.
+   *
+   * renames - Array of [newFile, file] pairs
+   */
+  commit (renames) {
+    if (renames.length === 0) return
+    // Moved into place along with everything else
+    // to let read-only instances know, see reload
+    this.version++
+    this.storage.writeFile(newFile(this.paths.version()),
+                           String(this.version))
+    renames = renames.concat([[newFile(this.paths.version()),
+                               this.paths.version()]])
+    // Written to a new file first, the commit file must
+    // never be half-written
+    this.storage.writeFile(newFile(this.paths.commit()), JSON.stringify({
+      state: 'committed',
+      renames
+    }))
+    this.storage.rename(newFile(this.paths.commit()), this.paths.commit())
+    this.finishCommit()
+  }
+
+  /**
+   * Finish what has been started by beginCommit and commit:
+   * if everything has been written, move the new files into place,
+   * otherwise undo what has been written so far.
+   */
+  finishCommit () {
+    let commit
+    try {
+      commit = JSON.parse(this.storage.readFile(this.paths.commit()))
+    } catch (err) {
+      // Died while writing the commit file,
+      // nothing has been written after that
+      this.storage.remove(this.paths.commit())
+      return
+    }
+    if (commit.state === 'writing') {
+      for (let file in commit.sizes) {
+        let size = commit.sizes[file]
+        if (!this.storage.exists(file)) continue
+        if (size === -1) {
+          this.storage.remove(file)
+        } else {
+          this.storage.truncate(file, size)
+        }
+      }
+      for (let [from] of commit.renames) {
+        this.storage.remove(from)
+      }
+    } else {
+      for (let [from, to] of commit.renames) {
+        if (this.storage.exists(from)) {
+          this.storage.rename(from, to)
+        }
+      }
+    }
+    this.storage.remove(this.paths.commit())
+  }
+
+  /**
+   * Ratio of space in the data file of the given table that is
+   * taken up by records which have been updated or removed since
+   */
+  deadSpaceRatio (tableName) {
+    let table = this.tables[tableName]
+    return table.dataSize === 0 ? 0 : table.deadSize / table.dataSize
+  }
+
+  /**
+   * Compact every given table whose dead space ratio is above
+   * the compactionThreshold option
+   */
+  compactIfNeeded (tableNames) {
+    let threshold = this.options.compactionThreshold
+    if (threshold === false || threshold === null) return
+    for (let tableName of tableNames) {
+      if (this.tables[tableName] &&
+          this.deadSpaceRatio(tableName) > threshold) {
+        this.compact(tableName).catch(err => this.reportError(err))
+      }
+    }
+  }
+
+  /**
+   * Rewrite the data file of the given table without the records
+   * that have been updated or removed since they were written.
+   * This happens in the background, a few records at a time, so the
+   * table can still be read and written in the meantime. Records
+   * saved while compacting are taken into account at the end.
+   * Returns a promise that is resolved once the table is compacted.
+   *
+   * tableName - Name of the table to compact
+   */
+  compact (tableName) {
+    this.checkWritable('compact')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot compact non-existent table ${tableName}`)
+    }
+    let table = this.tables[tableName]
+    if (table.compaction) {
+      return table.compaction
+    }
+    return table.compaction = this.compactTable(tableName)
+      .finally(() => {
+        table.compaction = null
+      })
+  }
+
+  async compactTable (tableName) {
+    let table = this.tables[tableName]
+    let dataFile = this.paths.tablefile(tableName)
+    if (!this.storage.exists(dataFile)) return
+    this.logger.debug(`Compacting ${tableName}...`)
+    let beginTime = Date.now()
+    let snapshot = table.index
+    let newDataFile = this.paths.tablefilenew(tableName)
+    let from = this.storage.open(dataFile)
+    // Records copied since the last time they were written out
+    let pending = []
+    let curoffs = 0
+    let copy = entry => {
+      let buf = this.storage.read(from, entry.pos, entry.len)
+      if (record.isLegacy(buf)) {
+        // Written by an older version, add a checksum
+        buf = Buffer.from(record.encode(JSON.parse(buf), this.cipher))
+      }
+      pending.push(buf)
+      let copied = { pos: curoffs, len: buf.length }
+      curoffs += buf.length
+      return copied
+    }
+    let writePending = () => {
+      this.storage.append(newDataFile, pending)
+      pending = []
+    }
+    let copied = new Map()
+    try {
+      this.storage.writeFile(newDataFile, '')
+      let count = 0
+      for (let id in snapshot) {
+        copied.set(snapshot[id], copy(snapshot[id]))
+        if (++count % COMPACTION_BATCH_SIZE === 0) {
+          writePending()
+          // Let everything else have its turn
+          await new Promise(resolve => setImmediate(resolve))
+        }
+      }
+      // From here on, everything is synchronous. Records that have
+      // been saved in the meantime are in the index now, but
+      // not in the snapshot.
+      let index = Object.create(null)
+      let lines = []
+      for (let id in table.index) {
+        let entry = table.index[id]
+        index[id] = copied.get(entry) || copy(entry)
+        lines.push(indexLine(table, id, index[id].pos, index[id].len,
+                             this.cipher))
+      }
+      writePending()
+      this.storage.writeFile(newFile(this.paths.tableindex(tableName)),
+                             lines.join(''))
+      this.commit([
+        [newDataFile, dataFile],
+        [newFile(this.paths.tableindex(tableName)),
+         this.paths.tableindex(tableName)]
+      ])
+      table.index = index
+      table.dataSize = curoffs
+      table.deadSize = 0
+      table.checksums = true
+      table.generation++
+    } finally {
+      this.storage.close(from)
+    }
+    this.logger.info(
+      `Compacted ${tableName}, ${(Date.now() - beginTime) / 1000} s`)
+  }
+
+  /**
+   * Rebuild the index, last ID and secondary indexes of the given table
+   * by going through its data file, for when they don't match it
+   * anymore. Records that can't be read are left out and an incomplete
+   * last record (cut off by a crash) is removed from the data file.
+   * Changes that have not been saved yet are kept.
+   * Returns a promise that is resolved with
+   * { entries, problems }, problems being an array of
+   * { table, id, message } for every record that had to be left out.
+   *
+   * tableName - Name of the table to repair
+   */
+  async repair (tableName) {
+    this.checkWritable('repair')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot repair non-existent table ${tableName}`)
+    }
+    let table = this.tables[tableName]
+    await table.compaction
+    if (!table.checksums) {
+      throw new DatabaseError(`${tableName} has been written by an older ` +
+                              'version, compact it before repairing it')
+    }
+    this.logger.info(`Repairing ${tableName}...`)
+    let problems = this.repairTable(tableName)
+    this.logger.info(`Repaired ${tableName}, ` +
+        `${problems.length} records left out`)
+    return { entries: Object.keys(table.index).length, problems }
+  }
+
+  /**
+   * Encrypt everything with another key, e. g. to rotate keys.
+   * Every table is rewritten (and compacted along the way) and
+   * the new key is used from then on. This also encrypts a database
+   * that hasn't been encrypted so far, or decrypts it if key is null.
+   * Everything is moved into place at once, so if the process dies
+   * in the middle of this, the database still uses the old key.
+   * Returns a promise that is resolved once done.
+   *
+   * key - New key, see the encryptionKey option
+   */
+  async reencrypt (key) {
+    this.checkWritable('reencrypt')
+    await this.flush()
+    await Promise.all(Object.keys(this.tables)
+      .map(tableName => this.tables[tableName].compaction))
+    this.logger.info(`Re-encrypting ${this.dbpath}...`)
+    let { cipher, keyFile } = key === null
+      ? { cipher: null, keyFile: null } : encryption.create(key)
+    let renames = []
+    let rewritten = []
+    for (let tableName in this.tables) {
+      let table = this.tables[tableName]
+      let dataFile = this.paths.tablefile(tableName)
+      if (!this.storage.exists(dataFile)) continue
+      let index = Object.create(null)
+      let lines = []
+      let records = []
+      let curoffs = 0
+      let handle = this.storage.open(dataFile)
+      try {
+        this.storage.writeFile(newFile(dataFile), '')
+        for (let id in table.index) {
+          let { pos, len } = table.index[id]
+          let item = this.decodeEntry(tableName, id,
+                                      this.storage.read(handle, pos, len))
+          let data = Buffer.from(record.encode(item, cipher))
+          records.push(data)
+          index[id] = { pos: curoffs, len: data.length }
+          lines.push(indexLine(table, id, curoffs, data.length, cipher))
+          curoffs += data.length
+          if (records.length === COMPACTION_BATCH_SIZE) {
+            this.storage.append(newFile(dataFile), records)
+            records = []
+          }
+        }
+        this.storage.append(newFile(dataFile), records)
+      } finally {
+        this.storage.close(handle)
+      }
+      let indexFile = this.paths.tableindex(tableName)
+      this.storage.writeFile(newFile(indexFile), lines.join(''))
+      renames.push([newFile(dataFile), dataFile],
+                   [newFile(indexFile), indexFile])
+      for (let field in table.fieldIndexes) {
+        let file = this.paths.fieldindex(tableName, field)
+        let json = JSON.stringify(table.fieldIndexes[field])
+        this.storage.writeFile(newFile(file),
+                               cipher ? cipher.encrypt(json) : json)
+        renames.push([newFile(file), file])
+      }
+      let expiryFile = this.paths.expiry(tableName)
+      if (this.storage.exists(expiryFile)) {
+        let json = JSON.stringify(Array.from(table.expiry))
+        this.storage.writeFile(newFile(expiryFile),
+                               cipher ? cipher.encrypt(json) : json)
+        renames.push([newFile(expiryFile), expiryFile])
+      }
+      let versions = null
+      let historyFile = this.paths.history(tableName)
+      if (this.storage.exists(historyFile)) {
+        versions = this.copyHistory(tableName, table.versions,
+          buf => Buffer.from(record.encode(
+            record.decode(buf, this.cipher).item, cipher)))
+        renames.push([newFile(historyFile), historyFile])
+      }
+      rewritten.push({ tableName, table, index, dataSize: curoffs,
+                       versions })
+    }
+    if (keyFile !== null) {
+      this.storage.writeFile(newFile(this.paths.keyfile()), keyFile)
+      renames.push([newFile(this.paths.keyfile()), this.paths.keyfile()])
+    }
+    this.commit(renames)
+    if (keyFile === null) {
+      this.storage.remove(this.paths.keyfile())
+    }
+    for (let { tableName, table, index, dataSize, versions } of rewritten) {
+      table.index = index
+      table.dataSize = dataSize
+      table.deadSize = 0
+      if (versions) {
+        table.versions = versions.versions
+        table.historySize = versions.size
+        table.historyDeadSize = 0
+      }
+      table.checksums = true
+      table.generation++
+      this.cache.clearTable(tableName)
+    }
+    this.cipher = cipher
+    if (this.journal) {
+      this.journal.cipher = cipher
+    }
+    // Whatever has happened since the first flush is still in the
+    // journal, encrypted with the old key. Saving it empties the journal.
+    this.writeOut()
+    this.logger.info(`Re-encrypted ${this.dbpath}`)
+  }
+
+  /**
+   * Convert values of the entries of the given table that have been
+   * saved before Dates, Buffers, BigInts, Maps and Sets were written
+   * as what they are (see types.js) and thus read back as strings or
+   * plain objects, e. g. date strings into Dates:
+   *
+   *   await db.migrate('users', user =>
+   *     Object.assign(user, { born: new Date(user.born) }))
+   *
+   * Entries that come out different are replaced, saving every now
+   * and then so that big tables don't have to fit into memory.
+   * Returns a promise of the number of entries that have changed.
+   *
+   * tableName - Name of the table to migrate
+   * revive - Function that receives an entry (which it may change)
+   *          and returns it converted
+   */
+  async migrate (tableName, revive) {
+    this.checkWritable('migrate')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot migrate non-existent table ${tableName}`)
+    }
+    let migrated = 0
+    for (let id of this.liveIds(tableName)) {
+      let old = this.get(tableName, id, { cache: false })
+      // Removed while saving
+      if (old === null) continue
+      let item = revive(updates.clone(old))
+      if (types.stringify(item) === types.stringify(old)) continue
+      this.put(tableName, id, item)
+      if (++migrated % COMPACTION_BATCH_SIZE === 0) {
+        await this.flush()
+      }
+    }
+    await this.flush()
+    this.logger.info(`Migrated ${migrated} entries of ${tableName}`)
+    return migrated
+  }
+
+  repairTable (tableName) {
+    let table = this.tables[tableName]
+    let dataFile = this.paths.tablefile(tableName)
+    let index = Object.create(null)
+    let problems = []
+    let lastId = table.lastId
+    let dataSize = 0
+    if (this.storage.exists(dataFile)) {
+      for (let entry of record.scan(this.storage, dataFile,
+                                    { cipher: this.cipher })) {
+        if (entry.incomplete) break
+        dataSize = entry.pos + entry.len
+        let id = entry.item ? entry.item.id : entry.removed
+        if (entry.error || !keys.isValid(table.key, id)) {
+          problems.push({ table: tableName, id: null, message:
+            `record at byte ${entry.pos} can't be read ` +
+            `(${entry.error || 'no ID'})` })
+          continue
+        }
+        if (keys.isNumeric(table.key)) {
+          lastId = Math.max(lastId, id)
+        }
+        if (entry.item) {
+          index[id] = { pos: entry.pos, len: entry.len }
+        } else {
+          delete index[id]
+        }
+      }
+    }
+    let liveSize = 0
+    for (let id in index) {
+      liveSize += index[id].len
+    }
+    table.index = index
+    table.lastId = lastId
+    table.dataSize = dataSize
+    table.deadSize = dataSize - liveSize
+    this.cache.clearTable(tableName)
+    table.generation++
+    for (let field in table.fieldIndexes) {
+      let fieldIndex = new FieldIndex(field, table.fieldIndexes[field].unique)
+      for (let item of this.entries(tableName)) {
+        if (fieldIndex.conflict(item) !== null) {
+          problems.push({ table: tableName, id: item.id, message:
+            `has a duplicate value for unique field ${field}` })
+        }
+        fieldIndex.add(item)
+      }
+      table.fieldIndexes[field] = fieldIndex
+    }
+    if (this.options.readOnly) return problems
+    if (this.storage.size(dataFile) > dataSize) {
+      this.storage.truncate(dataFile, dataSize)
+    }
+    let renames = [
+      [newFile(this.paths.tableindex(tableName)),
+       this.paths.tableindex(tableName)],
+      [newFile(this.paths.metadata(tableName)),
+       this.paths.metadata(tableName)]
+    ]
+    this.storage.writeFile(renames[0][0], Object.keys(index).map(id =>
+      indexLine(table, id, index[id].pos, index[id].len, this.cipher)
+    ).join(''))
+    this.storage.writeFile(renames[1][0], metadataOf(table))
+    for (let field in table.fieldIndexes) {
+      let file = this.paths.fieldindex(tableName, field)
+      this.storage.writeFile(newFile(file),
+        this.seal(JSON.stringify(table.fieldIndexes[field])))
+      renames.push([newFile(file), file])
+    }
+    this.commit(renames)
+    return problems
+  }
+
+  /**
+   * Check that every entry of every table can be read, that its
+   * checksum is right and that the index contains every entry
+   * in the data file. Nothing is changed, see repair for that.
+   * Returns an array of { table, id, message }, one for every
+   * problem that has been found. id is null for records in the data
+   * file that can't be read at all.
+   */
+  verify () {
+    let problems = []
+    for (let tableName in this.tables) {
+      let table = this.tables[tableName]
+      let dataFile = this.paths.tablefile(tableName)
+      if (!this.storage.exists(dataFile)) {
+        for (let id in table.index) {
+          problems.push({ table: tableName, id: keys.parse(table.key, id),
+                          message: 'is missing, there is no data file' })
+        }
+        continue
+      }
+      let size = this.storage.size(dataFile)
+      let handle = this.storage.open(dataFile)
+      // IDs with problems already, so they're not reported twice
+      let damaged = new Set()
+      try {
+        for (let id in table.index) {
+          let { pos, len } = table.index[id]
+          if (pos + len > size) {
+            problems.push({ table: tableName, id: keys.parse(table.key, id),
+                            message: 'is past the end of the data file' })
+            damaged.add(id)
+            continue
+          }
+          try {
+            this.decodeEntry(tableName, id,
+                             this.storage.read(handle, pos, len))
+          } catch (err) {
+            problems.push({ table: tableName, id: keys.parse(table.key, id),
+                            message: `is corrupt (${err.reason})` })
+            damaged.add(id)
+          }
+        }
+      } finally {
+        this.storage.close(handle)
+      }
+      if (!table.checksums) continue
+      // Whatever is in the data file last is what the index should say
+      let scanned = Object.create(null)
+      for (let entry of record.scan(this.storage, dataFile,
+                                    { size, cipher: this.cipher })) {
+        if (entry.error) {
+          if (Object.keys(table.index).some(id => damaged.has(id) &&
+              table.index[id].pos === entry.pos)) continue
+          problems.push({ table: tableName, id: null, message:
+            `record at byte ${entry.pos} can't be read (${entry.error})` })
+        } else if (entry.item) {
+          scanned[entry.item.id] = entry.pos
+        } else {
+          delete scanned[entry.removed]
+        }
+      }
+      for (let id in scanned) {
+        if (!table.index[id]) {
+          problems.push({ table: tableName, id: keys.parse(table.key, id),
+                          message: 'is missing from the index' })
+        } else if (table.index[id].pos !== scanned[id]) {
+          problems.push({ table: tableName, id: keys.parse(table.key, id),
+                          message: 'points to an old version' })
+        }
+      }
+      for (let id in table.index) {
+        if (!(id in scanned) && !damaged.has(id)) {
+          problems.push({ table: tableName, id: keys.parse(table.key, id),
+                          message: 'has been removed in the data file' })
+        }
+      }
+    }
+    return problems
+  }
+
+  /**
+   * Turn a record read from the data file into the entry with the
+   * given ID. Throws a CorruptionError if it has been damaged or
+   * belongs to another entry.
+   */
+  decodeEntry (tableName, id, buf) {
+    let decoded
+    try {
+      decoded = record.decode(buf, this.cipher)
+    } catch (err) {
+      throw new CorruptionError(tableName, id, err.message)
+    }
+    if (!decoded.item || String(decoded.item.id) !== String(id)) {
+      throw new CorruptionError(tableName, id, 'record of another entry')
+    }
+    return decoded.item
+  }
+
+  /**
+   * Run several operations as a whole: either all of them are
+   * applied or none. The callback gets a transaction object with
+   * insert, update, put, remove and truncate (as well as get, find and
+   * findOne to read in between) and has to be synchronous.
+   * If it throws, everything it did is rolled back (including
+   * last IDs) and the error is thrown again.
+   * Returns whatever the callback returns.
+   *
+   * Since data is saved in one go, a transaction is either saved
+   * completely or not at all. With the journal enabled,
+   * it is appended to the journal as a single operation.
+   *
+   * callback - Function that receives the transaction object
+   */
+  transaction (callback) {
+    if (this.transactionOps) {
+      throw Error('Transactions cannot be nested')
+    }
+    let tx = new Transaction(this)
+    this.transactionOps = []
+    this.transactionEvents = []
+    try {
+      let result = callback(tx)
+      if (result && typeof result.then === 'function') {
+        throw Error('Transactions have to be synchronous')
+      }
+      let ops = this.transactionOps
+      let events = this.transactionEvents
+      this.transactionOps = null
+      this.transactionEvents = null
+      if (ops.length !== 0) {
+        this.journalAppend({ op: 'transaction', ops })
+      }
+      tx.commit()
+      events.forEach(this.emitChange, this)
+      return result
+    } catch (err) {
+      this.transactionOps = null
+      this.transactionEvents = null
+      tx.rollback()
+      throw err
+    }
+  }
+
+  /**
+   * Emit a change event, or keep it until the transaction
+   * in progress has been committed
+   */
+  emitChange (event) {
+    if (this.transactionEvents) {
+      this.transactionEvents.push(event)
+    } else {
+      this.emit(event.type, event)
+    }
+  }
+
+  /**
+   * Call handler whenever something in the given table changes.
+   * If a query is given (see find), only changes of entries matching
+   * it before or after the change are passed on. Truncations
+   * are always passed on.
+   * Returns a function that stops watching when called.
+   *
+   * tableName - Name of the table to watch
+   * q - Optional query to filter changes
+   * handler - Function that receives the event object
+   *           ({ type, table, id, oldValue, newValue })
+   */
+  watch (tableName, q, handler) {
+    if (handler === undefined) {
+      handler = q
+      q = null
+    }
+    let predicate = q ? query.compile(q) : null
+    let listener = event => {
+      if (event.table !== tableName) return
+      if (predicate && event.type !== 'truncate' &&
+          !(event.oldValue && predicate(event.oldValue)) &&
+          !(event.newValue && predicate(event.newValue))) {
+        return
+      }
+      handler(event)
+    }
+    for (let type of CHANGE_EVENTS) {
+      this.on(type, listener)
+    }
+    return () => {
+      for (let type of CHANGE_EVENTS) {
+        this.removeListener(type, listener)
+      }
+    }
+  }
+
+  /**
+   * Write a consistent snapshot of the database to destDir.
+   * Pending operations are saved first. The database can be used
+   * as usual while the backup is written, changes made in the meantime
+   * are not part of it. Next to the copies of all table files, the backup
+   * contains a manifest.json listing them with their checksums.
+   * Returns a promise that is resolved with the manifest.
+   *
+   * destDir - Directory to write the backup to
+   */
+  async backup (destDir) {
+    await this.flush()
+    let tableNames = this.storage.list(this.paths.tables())
+    this.logger.debug(`Writing backup to ${destDir}...`)
+    let manifest = await backups.create(this.storage, tableNames, destDir,
+                                        [this.paths.keyfile()])
+    this.logger.info(`Backup written to ${destDir}`)
+    return manifest
+  }
+
+  /**
+   * Restore a backup written by backup. The backup is checked against
+   * its manifest first and a BackupError is thrown if anything is
+   * missing or has been changed. Make sure the database is not open
+   * while restoring it.
+   * Returns a promise that is resolved with the manifest.
+   *
+   * backupDir - Directory containing the backup
+   * dbpath - Directory of the database to restore
+   * options - { overwrite: true } to replace an existing database
+   */
+  static restore (backupDir, dbpath, options) {
+    return backups.restore(backupDir, dbpath, options)
+  }
+
+  /**
+   * Write every entry of the given table to a file, one at a time.
+   * Unsaved changes are included.
+   * Returns a promise that is resolved with the number of entries.
+   *
+   * tableName - Name of the table to export
+   * file - Path of the file or a writable stream
+   * format - 'ndjson' (one entry per line), 'json' (an array) or
+   *          'csv' (nested objects are flattened into columns like
+   *          address.city). Derived from the file extension if missing,
+   *          NDJSON if there is none.
+   */
+  exportTable (tableName, file, { format } = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot export non-existent table ${tableName}`)
+    }
+    return transfer.exportEntries(
+      () => this.entries(tableName, { cache: false }), file, { format })
+  }
+
+  /**
+   * Insert every entry in a file written by exportTable (or anything
+   * else in one of its formats) into the given table, one at a time.
+   * Data is saved every batchSize entries so that large files don't
+   * have to fit into memory. An import that fails half-way keeps
+   * the entries inserted until then.
+   * If the table does not exist, it will be created.
+   * Returns a promise that is resolved with
+   * { inserted, replaced, skipped }.
+   *
+   * tableName - Name of the table to import into
+   * file - Path of the file or a readable stream
+   * format - 'ndjson', 'json' or 'csv', see exportTable
+   * preserveIds - Keep the IDs in the file instead of assigning new ones
+   * onConflict - What to do if an ID is in use already:
+   *              'error' throws a UniqueConstraintError (default),
+   *              'skip' keeps the existing entry and 'replace' the new one
+   * batchSize - Number of entries after which data is saved
+   */
+  async importTable (tableName, file, { format, preserveIds = false,
+                                        onConflict = 'error',
+                                        batchSize = 1000 } = {}) {
+    this.checkWritable('import')
+    if (!['error', 'skip', 'replace'].includes(onConflict)) {
+      throw Error(`Unknown conflict strategy ${onConflict}, ` +
+                  'use error, skip or replace')
+    }
+    let { key } = this.createTable(tableName)
+    let result = { inserted: 0, replaced: 0, skipped: 0 }
+    let count = 0
+    for await (let data of transfer.readEntries(file, { format })) {
+      let id = null
+      if (key.type === 'field') {
+        // Natural keys are always preserved
+        id = data[key.field]
+      } else if (preserveIds) {
+        id = keys.isNumeric(key) ? Number(data.id) : data.id
+        if (!keys.isValid(key, id)) {
+          throw Error(`Invalid ID ${JSON.stringify(data.id)} in import ` +
+                      `of table ${tableName}`)
+        }
+      }
+      delete data.id
+      if (id !== null && this.get(tableName, id)) {
+        if (onConflict === 'error') {
+          throw new UniqueConstraintError(tableName, 'id', id, id)
+        } else if (onConflict === 'skip') {
+          result.skipped++
+          continue
+        }
+        // Keep the old entry if the new one turns out to be invalid
+        this.transaction(tx => {
+          tx.touch(tableName)
+          this.remove(tableName, id)
+          this.insertEntry(tableName, data, id)
+        })
+        result.replaced++
+      } else {
+        this.insertEntry(tableName, data, id)
+        result.inserted++
+      }
+      if (++count % batchSize === 0) {
+        await this.flush()
+      }
+    }
+    await this.flush()
+    this.logger.info(`Imported ${count} entries into ${tableName}`)
+    return result
+  }
+
+  /**
+   * Throw a ReadOnlyError if the database has been opened read-only
+   *
+   * operation - What is about to happen, for the error message
+   */
+  checkWritable (operation) {
+    if (this.options.readOnly) {
+      throw new ReadOnlyError(this.dbpath, operation)
+    }
+  }
+
+  /**
+   * Checks whether the given table exists
+   * table - Name of the table to check for
+   */
+  tableExists (table) {
+    return !!this.tables[table]
+  }
+
+  /**
+   * Names of all tables, including the ones that
+   * haven't been saved to disk yet
+   */
+  listTables () {
+    return Object.keys(this.tables)
+  }
+
+  /**
+   * Numbers about the given table:
+   * { entries, lastId, fileSize, dataSize, deadSize, pending, cache }
+   * entries takes changes that haven't been saved into account.
+   * fileSize is the size of all files of the table together,
+   * dataSize and deadSize are about its data file (see compact).
+   * pending is { inserts, updates, removals, truncate } with the
+   * number of changes that haven't been saved yet (and where the table
+   * is going to be truncated, null if it isn't) and cache is the same
+   * as cacheStats for this table.
+   *
+   * tableName - Name of the table
+   */
+  tableStats (tableName) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot get stats of non-existent table ${tableName}`)
+    }
+    let table = this.tables[tableName]
+    let dir = this.paths.tabledir(tableName)
+    let fileSize = 0
+    for (let name of this.storage.list(dir)) {
+      fileSize += this.storage.size(`${dir}/${name}`)
+    }
+    return {
+      entries: this.liveIds(tableName).length,
+      lastId: table.lastId,
+      fileSize,
+      dataSize: table.dataSize,
+      deadSize: table.deadSize,
+      pending: {
+        inserts: table.inserts.length,
+        updates: table.updates.length,
+        removals: table.removals.length,
+        truncate: table.truncate === -1 ? null : table.truncate
+      },
+      cache: this.cache.tableStats(tableName)
+    }
+  }
+
+  /**
+   * Delete the given table with everything in it, on disk as well
+   * as whatever hasn't been saved yet. Everything else is saved first.
+   * Returns a promise that is resolved once the table is gone.
+   *
+   * tableName - Name of the table to drop
+   */
+  async dropTable (tableName) {
+    this.checkWritable('drop tables')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot drop non-existent table ${tableName}`)
+    }
+    await this.tables[tableName].compaction
+    // Nothing in the journal may refer to the table anymore
+    this.writeOut()
+    let dir = this.paths.tabledir(tableName)
+    let trash = `${this.paths.tmp()}/${tableName}`
+    if (this.storage.list(dir).length !== 0) {
+      // Moved out of the way first so that the table is
+      // either there or gone, never half-deleted
+      this.storage.removeDir(trash)
+      this.storage.renameDir(dir, trash)
+    }
+    delete this.tables[tableName]
+    this.cache.clearTable(tableName)
+    this.bumpVersion()
+    this.storage.removeDir(trash)
+    this.logger.info(`Dropped ${tableName}`)
+  }
+
+  /**
+   * Give the given table another name. Everything is saved first.
+   * Returns a promise that is resolved once the table has been renamed.
+   *
+   * tableName - Name of the table to rename
+   * newName - Name to give it, no table may have that name yet
+   */
+  async renameTable (tableName, newName) {
+    this.checkWritable('rename tables')
+    checkTableName(newName)
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot rename non-existent table ${tableName}`)
+    }
+    if (this.tableExists(newName)) {
+      throw Error(`Cannot rename ${tableName}, ${newName} exists already`)
+    }
+    await this.tables[tableName].compaction
+    // The journal refers to tables by their name
+    this.writeOut()
+    let dir = this.paths.tabledir(tableName)
+    if (this.storage.list(dir).length !== 0) {
+      this.storage.renameDir(dir, this.paths.tabledir(newName))
+    }
+    this.tables[newName] = this.tables[tableName]
+    delete this.tables[tableName]
+    this.cache.clearTable(tableName)
+    this.bumpVersion()
+    this.logger.info(`Renamed ${tableName} to ${newName}`)
+  }
+
+  /**
+   * Copy the given table with its entries, secondary indexes and
+   * schema to a new table. Everything is saved first.
+   * Returns a promise that is resolved once the copy is done.
+   *
+   * tableName - Name of the table to copy
+   * newName - Name of the copy, no table may have that name yet
+   */
+  async cloneTable (tableName, newName) {
+    this.checkWritable('clone tables')
+    checkTableName(newName)
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot clone non-existent table ${tableName}`)
+    }
+    if (this.tableExists(newName)) {
+      throw Error(`Cannot clone ${tableName}, ${newName} exists already`)
+    }
+    // Makes sure that the table has been written to disk,
+    // even if all of its entries have been removed before saving
+    this.tables[tableName].metaChanged = true
+    this.writeOut()
+    let dir = this.paths.tabledir(tableName)
+    let staging = `${this.paths.tmp()}/${newName}`
+    this.storage.removeDir(staging)
+    // Everything is synchronous, so a compaction in progress
+    // can't move its new files into place in the meantime
+    for (let name of this.storage.list(dir)) {
+      if (name.endsWith('-new')) continue
+      copyFile(this.storage, `${dir}/${name}`, `${staging}/${name}`)
+    }
+    this.storage.renameDir(staging, this.paths.tabledir(newName))
+    this.loadTable(newName)
+    this.bumpVersion()
+    this.logger.info(`Cloned ${tableName} to ${newName}`)
+  }
+
+  /**
+   * Create a table if it does not exist. Returns the table.
    * table - Name of the table
+   * options - { key } to choose where the IDs of its entries come from:
+   *           'autoincrement' (default), 'uuid', 'ulid' or a field
+   *           like { field: 'email' }, see keys.js. Throws if the table
+   *           exists already with another key strategy.
+   */
+  createTable (table, options = {}) {
+    let key = keys.normalize(options.key)
+    if (this.tableExists(table)) {
+      if (options.key !== undefined &&
+          JSON.stringify(key) !== JSON.stringify(this.tables[table].key)) {
+        throw Error(`${table} exists already with another key strategy`)
+      }
+      return this.tables[table]
+    }
+    if (!keys.isNumeric(key)) {
+      this.checkWritable('create tables')
+      // Entries that are inserted later on rely on it
+      this.writes++
+      this.journalAppend({ op: 'createTable', table, key: options.key })
+    }
+    this.tables[table] = {
+      // Size of the data file and how much of that is taken up by
+      // records that have been updated or removed, see compact
+      dataSize: 0,
+      deadSize: 0,
+      // Incremented whenever the data file is replaced
+      generation: 0,
+      // Whether all records in the data file have checksums, which
+      // is not the case for data files written by older versions
+      // until they have been compacted
+      checksums: true,
+      // Promise of the compaction in progress, if any
+      compaction: null,
+      inserts: [],
+      updates: [],
+      removals: [],
+      // Position and length of every record in the data file,
+      // ID as key. Without a prototype, since IDs can be any string.
+      index: Object.create(null),
+      // Secondary indexes, field name as key and a FieldIndex as value
+      fieldIndexes: {},
+      // Whether anything that goes into the meta file has changed,
+      // key strategies other than the default have to be saved
+      metaChanged: !keys.isNumeric(key),
+      // Normalized schema if one has been defined, see defineTable
+      schema: null,
+      truncate: -1,
+      // Where IDs come from, see keys.js
+      key,
+      lastId: 0,
+      // Retention policy if the table keeps a history, see
+      // enableHistory. versions has the saved versions of every entry
+      // (oldest first, String(ID) as key) as { revision, timestamp,
+      // removed, pos, len } with their position in the history file,
+      // pendingVersions the ones that haven't been saved yet.
+      history: null,
+      versions: new Map(),
+      pendingVersions: [],
+      historySize: 0,
+      historyDeadSize: 0,
+      // Time to live of new entries in milliseconds (see setDefaultTTL)
+      // and when entries expire, String(ID) as key and milliseconds
+      // since the epoch as value. nextExpiry is the earliest of those,
+      // null if it has to be looked for again.
+      ttl: null,
+      expiry: new Map(),
+      nextExpiry: Infinity
+    }
+    return this.tables[table]
+  }
+
+  /**
+   * Define the schema of a table. From now on, every insert and update
+   * is checked against it and a ValidationError listing every failing
+   * path is thrown if the data does not match. Missing fields get their
+   * default values and values are converted into the right type where
+   * that's possible without losing anything (e. g. '42' into 42).
+   * Entries that are already in the table are not checked.
+   * The schema is saved along with the table.
+   * If the table does not exist, it will be created.
+   *
+   * tableName - Name of the table
+   * schema - Field names as keys, definitions as values, e. g.
+   *          { name: { type: 'string', required: true },
+   *            age: { type: 'integer', min: 0 },
+   *            role: { type: 'string', enum: ['admin', 'user'],
+   *                    default: 'user' },
+   *            tags: ['string'],
+   *            address: { street: 'string', city: 'string' } }
+   *          See db/schema.js for everything a definition can contain.
+   * options - { allowUnknown: true } to allow fields that are not
+   *           in the schema, key to choose the key strategy if the
+   *           table does not exist yet (see createTable)
+   */
+  defineTable (tableName, schema, options = {}) {
+    this.checkWritable('define tables')
+    let normalized = schemas.normalize(schema, options)
+    let table = this.createTable(tableName, { key: options.key })
+    table.schema = normalized
+    table.metaChanged = true
+    this.writes++
+    this.journalAppend({ op: 'defineTable', table: tableName,
+                         schema: normalized })
+    return true
+  }
+
+  /**
+   * Insert a new entry into the given table
+   * If the table does not exist, it will be created.
+   * Columns will be derived from the keys in data
+   * unless the table has a schema (see defineTable).
+   *
+   * Throws a UniqueConstraintError if a unique index already
+   * contains one of the values.
+   *
+   * tableName - Name of the table to insert the entry into
+   * data - Entry as a key-value object to insert
+   * options - { ttl } to make the entry expire after that many
+   *           milliseconds (null for never), see setDefaultTTL for
+   *           the default and expire for what happens then
+   */
+  insert (tableName, data, options = {}) {
+    return this.insertEntry(tableName, data, null, options)
+  }
+
+  /**
+   * Insert a new entry with the given ID, which must not be in use,
+   * or with the next free one if id is null.
+   * Used by insert, importTable and when replaying the journal.
+   *
+   * options - { ttl } like insert or { expiresAt } with the time
+   *           it expires at
+   */
+  insertEntry (tableName, data, id, { ttl, expiresAt } = {}) {
+    this.checkWritable('insert')
+    this.createTable(tableName)
+    let table = this.tables[tableName]
+    if (expiresAt === undefined) {
+      if (ttl === undefined) ttl = table.ttl
+      checkTTL(ttl)
+      expiresAt = ttl === null ? null : this.now() + ttl
+    }
+    if (this.replayTime === null) {
+      // Expired entries must not be in the way, e. g. of unique values.
+      // When replaying, their removal is in the journal already.
+      this.expire(tableName)
+    }
+    if (table.schema) {
+      Object.assign(data, schemas.validate(tableName, table.schema, data))
+    }
+    if (table.key.type === 'field') {
+      if (id === null) id = data[table.key.field]
+      if (data[table.key.field] !== id) {
+        throw Error(`The ${table.key.field} of an entry of ${tableName} ` +
+                    'has to be its ID')
+      }
+    }
+    if (id === null) {
+      id = keys.isNumeric(table.key) ? table.lastId + 1
+        : keys.generate(table.key)
+    }
+    if (!keys.isValid(table.key, id)) {
+      throw Error(table.key.type === 'field'
+        ? `Entries of ${tableName} need a non-empty string as ` +
+          table.key.field
+        : `Invalid ID ${JSON.stringify(id)} for ${tableName}`)
+    }
+    if (!keys.isNumeric(table.key) && this.get(tableName, id)) {
+      throw new UniqueConstraintError(tableName,
+        table.key.field || 'id', id, id)
+    }
+    checkUnique(tableName, table, Object.assign({}, data, { id: null }))
+    if (keys.isNumeric(table.key)) {
+      table.lastId = Math.max(table.lastId, id)
+    }
+    data.id = id
+    table.inserts.push(data)
+    addToIndexes(table, data)
+    setExpiry(table, id, expiresAt)
+    this.recordVersion(table, id, null, data)
+    this.writes++
+    let operation = { op: 'insert', table: tableName, data }
+    if (expiresAt !== null) operation.expiresAt = expiresAt
+    this.journalAppend(operation)
+    this.emitChange({ type: 'insert', table: tableName, id: data.id,
+                      oldValue: null, newValue: data })
+    return data.id
+  }
+
+  /**
+   * Change an existing entry. Either pass the changes including the ID
+   *
+   *   db.update('users', { id: 1, name: 'Nodey' })
+   *
+   * or the ID and the changes, which can also be operators
+   * like $set, $unset, $inc, $push and $pull (see update.js):
+   *
+   *   db.update('users', 1, { $inc: { visits: 1 } })
+   *
+   * Changes without operators are merged into the entry, nested objects
+   * included - except for undefined values. null is a valid value
+   * and can be used to replace an existing value.
+   * Only the changed fields are checked against the schema.
+   *
+   * Returns true on success, false if there is no such entry.
+   * Throws a UniqueConstraintError if a unique index already
+   * contains one of the new values.
+   *
+   * tableName - Name of the table the entry is in
+   * id - ID of the entry (or the changes including the ID)
+   * changes - Changes as a key-value object or operators
+   * options - { upsert: true } to insert the entry with the given ID
+   *           (the changes applied to an empty entry) if there is none,
+   *           { ttl } to make the entry expire that many milliseconds
+   *           from now on instead of when it would have (null for never)
+   */
+  update (tableName, id, changes, options = {}) {
+    if (query.isPlainObject(id)) {
+      [id, changes, options] = [id.id, id, changes || {}]
+    }
+    this.checkWritable('update')
+    if (id === undefined || id === null) {
+      throw Error(`Missing ID of the entry to update in ${tableName}`)
+    }
+    if (options.ttl !== undefined) {
+      checkTTL(options.ttl)
+    }
+    let old = null
+    if (this.tableExists(tableName)) {
+      old = this.get(tableName, id)
+    } else if (!options.upsert) {
+      throw Error(`Can't update entries in non-existent table ${tableName}`)
+    }
+    if (old === null) {
+      if (!options.upsert) return false
+      let { result } = updates.apply({}, changes)
+      let { key } = this.createTable(tableName)
+      if (key.type === 'field' && result[key.field] === undefined) {
+        result[key.field] = id
+      }
+      this.insertEntry(tableName, result, id, { ttl: options.ttl })
+      return true
+    }
+    let table = this.tables[tableName]
+    let { result, fields } = updates.apply(old, changes)
+    if (table.key.type === 'field' && result[table.key.field] !== old.id) {
+      throw Error(`The ${table.key.field} of an entry of ${tableName} ` +
+                  'is its ID and can\'t be changed')
+    }
+    if (table.schema) {
+      let changed = {}
+      for (let field of fields) {
+        changed[field] = result[field]
+      }
+      let checked = schemas.validate(tableName, table.schema, changed, true)
+      for (let field of fields) {
+        if (checked[field] === undefined) {
+          delete result[field]
+        } else {
+          result[field] = checked[field]
+        }
+      }
+    }
+    result.id = old.id
+    this.replaceEntry(tableName, result, old)
+    if (options.ttl !== undefined) {
+      this.expireAt(tableName, old.id,
+                    options.ttl === null ? null : this.now() + options.ttl)
+    }
+    return true
+  }
+
+  /**
+   * Insert an entry with the given ID, or replace the entry
+   * with that ID as a whole if there is one already.
+   * Returns the ID.
+   *
+   * Throws a UniqueConstraintError if a unique index already
+   * contains one of the values.
+   *
+   * tableName - Name of the table, which is created if it does not exist
+   * id - ID of the entry, see createTable for the key strategies
+   * data - Entry as a key-value object
+   */
+  put (tableName, id, data) {
+    this.checkWritable('put')
+    let { key, schema } = this.createTable(tableName)
+    if (key.type === 'field' && data[key.field] === undefined) {
+      data[key.field] = id
+    }
+    let old = this.get(tableName, id)
+    if (old === null) {
+      return this.insertEntry(tableName, data, id)
+    }
+    if (schema) {
+      Object.assign(data, schemas.validate(tableName, schema, data))
+    }
+    if (key.type === 'field' && data[key.field] !== id) {
+      throw Error(`The ${key.field} of an entry of ${tableName} ` +
+                  'has to be its ID')
+    }
+    data.id = old.id
+    this.replaceEntry(tableName, data, old)
+    return data.id
+  }
+
+  /**
+   * Replace an existing entry as a whole.
+   * Used by update and when replaying the journal.
+   *
+   * item - New version of the entry, including its ID
+   * old - Current version of the entry
+   */
+  replaceEntry (tableName, item, old) {
+    let table = this.tables[tableName]
+    checkUnique(tableName, table, item)
+    if (old) {
+      removeFromIndexes(table, old)
+    }
+    // Pending entries are replaced rather than changed, since
+    // the old version might still be used somewhere else
+    let insertIx = table.inserts.findIndex(entry => entry.id === item.id)
+    let updateIx = table.updates.findIndex(entry => entry.id === item.id)
+    if (insertIx !== -1) {
+      table.inserts[insertIx] = item
+    } else if (updateIx !== -1) {
+      table.updates[updateIx] = item
+    } else {
+      table.updates.push(item)
+    }
+    addToIndexes(table, item)
+    this.recordVersion(table, item.id, old, item)
+    this.writes++
+    this.cache.delete(tableName, item.id)
+    this.journalAppend({ op: 'replace', table: tableName, data: item })
+    this.emitChange({ type: 'update', table: tableName, id: item.id,
+                      oldValue: old, newValue: item })
+  }
+
+  /**
+   * Remove an entry from the given table
+   * tableName - Name of the table to remove the entry from
+   * id - ID of the entry to remove
+   */
+  remove (tableName, id) {
+    this.checkWritable('remove')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Can't remove entries from non-existent table ${tableName}`)
+    }
+    this.removeEntry(tableName, id, 'remove')
+    return true
+  }
+
+  /**
+   * Remove an entry, used by remove and expire
+   *
+   * type - Type of the event to emit, remove or expire
+   */
+  removeEntry (tableName, id, type) {
+    let table = this.tables[tableName]
+    let old = null
+    if (Object.keys(table.fieldIndexes).length !== 0 ||
+        this.listenerCount(type) !== 0 || table.history) {
+      old = this.lookup(tableName, id, null, { expired: true })
+      if (old) {
+        removeFromIndexes(table, old)
+        this.recordVersion(table, id, old, null)
+      }
+    }
+    let insertIx = table.inserts.findIndex(item => {
+      return item.id === id
+    })
+    if (insertIx !== -1) {
+      table.inserts.splice(insertIx, 1)
+    } else {
+      let updateIx = table.updates.findIndex(item => {
+        return item.id === id
+      })
+      if (updateIx !== -1) {
+        table.updates.splice(updateIx, 1)
+      }
+      // The entry is on disk, with or without an update
+      table.removals.push(id)
+    }
+    clearExpiry(table, id)
+    this.writes++
+    this.cache.delete(tableName, id)
+    this.journalAppend({ op: 'remove', table: tableName, id })
+    this.emitChange({ type, table: tableName, id,
+                      oldValue: old, newValue: null })
+  }
+
+  /**
+   * Truncate the given table
+   * tableName - Name of the table to truncate
+   * start - Anything bigger than this ID is removed. Tables without
+   *         autoincrement IDs can only be truncated completely (0).
+   */
+  truncate (tableName, start) {
+    this.checkWritable('truncate')
+    if (!this.tableExists(tableName)) {
+      throw Error(`Can't truncate non-existent table ${tableName}`)
+    }
+
+    let table = this.tables[tableName]
+    if (!keys.isNumeric(table.key) && start !== 0) {
+      throw Error(`${tableName} has no autoincrement IDs and can only be ` +
+                  'truncated completely, with a start of 0')
+    }
+    if (start > table.lastId) {
+      throw Error(`Specified trim position ${start} is bigger than last ID ` +
+                  `${table.lastId} Make sure it is in bounds.`)
+    }
+
+    if (table.history) {
+      for (let id of this.liveIds(tableName)) {
+        if (isBeyond(table, id, start)) {
+          this.recordVersion(table, id, this.get(tableName, id), null)
+        }
+      }
+    }
+    // Backwards so that splicing does not skip anything
+    for (let ops of [table.inserts, table.updates]) {
+      for (let ix = ops.length - 1; ix >= 0; ix--) {
+        if (isBeyond(table, ops[ix].id, start)) ops.splice(ix, 1)
+      }
+    }
+    table.removals = table.removals.filter(id => !isBeyond(table, id, start))
+    for (let key of Array.from(table.expiry.keys())) {
+      if (isBeyond(table, keys.parse(table.key, key), start)) {
+        clearExpiry(table, key)
+      }
+    }
+    for (let field in table.fieldIndexes) {
+      table.fieldIndexes[field].removeWhere(id => isBeyond(table, id, start))
+    }
+
+    table.truncate = start
+    if (keys.isNumeric(table.key)) {
+      table.lastId = start
+    }
+    this.writes++
+    this.cache.clearTable(tableName)
+    this.journalAppend({ op: 'truncate', table: tableName, start })
+    this.emitChange({ type: 'truncate', table: tableName, start })
+    return true
+   }
+
+  /**
+   * Make new entries of the given table expire after the given time
+   * unless they are inserted with a ttl of their own (see insert).
+   * Entries that are in the table already keep their expiry.
+   * The default is saved along with the table.
+   * If the table does not exist, it will be created.
+   *
+   * tableName - Name of the table
+   * ttl - Milliseconds, null for entries that don't expire (default)
+   */
+  setDefaultTTL (tableName, ttl) {
+    this.checkWritable('set default TTL')
+    checkTTL(ttl)
+    let table = this.createTable(tableName)
+    table.ttl = ttl
+    table.metaChanged = true
+    this.writes++
+    this.journalAppend({ op: 'setDefaultTTL', table: tableName, ttl })
+  }
+
+  /**
+   * Change when an entry expires, used by update
+   *
+   * expiresAt - Milliseconds since the epoch, null for never
+   */
+  expireAt (tableName, id, expiresAt) {
+    let table = this.tables[tableName]
+    setExpiry(table, id, expiresAt)
+    // Makes sure that the table is saved
+    table.metaChanged = true
+    this.journalAppend({ op: 'expireAt', table: tableName, id, expiresAt })
+  }
+
+  /**
+   * Remove the entries whose time to live is over from the given
+   * table (every table if there is no name), emitting an expire event
+   * for each. Returns how many entries have expired.
+   *
+   * Expired entries are left out by get, find and everything else
+   * that reads right away. This only removes them for good and
+   * happens on its own before saving, when collecting the cache and
+   * before inserting into the table. Errors thrown by expire listeners
+   * are reported (see reportError) instead of stopping the rest.
    */
-  createTable (table) {
-    if (!this.tableExists(table)) {
-      return this.tables[table] = {
-        inserts: [],
-        updates: [],
-        removals: [],
-        cache: [],
-        index: {},
-        truncate: -1,
-        lastId: 0
+  expire (tableName = null) {
+    this.checkWritable('expire')
+    if (tableName === null) {
+      let expired = 0
+      for (let name of Object.keys(this.tables)) {
+        expired += this.expire(name)
       }
-    } else {
-      return this.tables[table]
+      return expired
+    }
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot expire entries of non-existent table ${tableName}`)
+    }
+    let table = this.tables[tableName]
+    let now = this.now()
+    if (nextExpiry(table) > now) return 0
+    let ids = []
+    for (let [key, expiresAt] of table.expiry) {
+      if (expiresAt <= now) ids.push(keys.parse(table.key, key))
+    }
+    let expired = 0
+    for (let id of ids) {
+      if (this.lookup(tableName, id, null,
+                      { cache: false, expired: true }) === null) {
+        // Gone already, e. g. truncated
+        clearExpiry(table, id)
+        continue
+      }
+      try {
+        this.removeEntry(tableName, id, 'expire')
+      } catch (err) {
+        // The entry is gone by the time listeners are called
+        this.reportError(err)
+      }
+      expired++
     }
+    if (expired !== 0) {
+      this.logger.debug(`Expired ${expired} entries of ${tableName}`)
+    }
+    return expired
   }
 
   /**
-   * Insert a new entry into the given table
+   * Keep every version of the entries of the given table from now on,
+   * so that they can be looked at (see history and getAt) and brought
+   * back (see revert). Calling it again changes the retention policy.
+   * The history is saved along with the table, in its own file.
    * If the table does not exist, it will be created.
-   * Columns will be derived from the keys in data
    *
-   * tableName - Name of the table to insert the entry into
-   * data - Entry as a key-value object to insert
+   * tableName - Name of the table
+   * options - Retention policy, pruned when saving:
+   *           maxVersions - How many versions of an entry to keep at most
+   *           maxAge - Drop versions that haven't been current for this
+   *                    many milliseconds
+   *           Default: keep everything
    */
-  insert (tableName, data) {
-    this.createTable(tableName)
-    let table = this.tables[tableName]
-    data.id = ++table.lastId
-    table.inserts.push(data)
+  enableHistory (tableName, options = {}) {
+    this.checkWritable('enable history')
+    let policy = history.normalize(options)
+    let table = this.createTable(tableName)
+    table.history = policy
+    table.metaChanged = true
     this.writes++
-    return data.id
+    this.journalAppend({ op: 'enableHistory', table: tableName, policy })
   }
 
   /**
-   * Updates an existing entry
-   * The current entry will be overwritten by
-   * the new data - except for undefined values
-   * null is a valid value and can be used to replace
-   * an existing value.
-   *
-   * tableName - Name of the table to insert the entry into
-   * data - Updated entry as a key-value object
+   * Stop keeping the history of the given table
+   * and throw away what it has kept so far
    */
-  update (tableName, data) {
+  disableHistory (tableName) {
+    this.checkWritable('disable history')
     if (!this.tableExists(tableName)) {
-      throw Error(`Can't update entries in non-existent table ${tableName}`)
+      throw Error(`Can't disable history of non-existent table ${tableName}`)
     }
-
     let table = this.tables[tableName]
-    let insertIx = table.inserts.findIndex(item => {
-      return item.id === data.id
-    })
-    if (insertIx !== -1) {
-      Object.assign(table.inserts[insertIx], data)
-    } else {
-      table.updates.push(data)
-    }
+    table.history = null
+    table.versions = new Map()
+    table.pendingVersions = []
+    table.historySize = 0
+    table.historyDeadSize = 0
+    // Without the history in the meta file, nothing reads it anymore
+    this.storage.remove(this.paths.history(tableName))
+    table.metaChanged = true
     this.writes++
-    if (table.cache[`i${data.id}`]) {
-      table.cache[`i${data.id}`] = null
+    this.journalAppend({ op: 'disableHistory', table: tableName })
+  }
+
+  /**
+   * Add a new version of an entry to the history of the given table,
+   * if it keeps one.
+   *
+   * old - The entry before the change, recorded as well (without
+   *       a timestamp) if it has been there before the history
+   * item - The entry after the change, null if it has been removed
+   */
+  recordVersion (table, id, old, item) {
+    if (!table.history) return
+    let revision = this.latestRevision(table, id)
+    if (revision === 0 && old) {
+      table.pendingVersions.push({ id, revision: ++revision,
+                                   timestamp: null,
+                                   item: updates.clone(old),
+                                   removed: false })
     }
-    return true
+    // Copied, pending entries are changed in place by transactions
+    table.pendingVersions.push({ id, revision: revision + 1,
+                                 timestamp: this.now(),
+                                 item: item && updates.clone(item),
+                                 removed: item === null })
   }
 
   /**
-   * Remove an entry from the given table
-   * tableName - Name of the table to remove the entry from
-   * id - ID of the entry to remove
+   * Revision of the latest version of the given entry, 0 if there is none
    */
-  remove (tableName, id) {
-    if (!this.tableExists(tableName)) {
-      throw Error(`Can't remove entries from non-existent table ${tableName}`)
+  latestRevision (table, id) {
+    for (let ix = table.pendingVersions.length - 1; ix >= 0; ix--) {
+      if (table.pendingVersions[ix].id === id) {
+        return table.pendingVersions[ix].revision
+      }
     }
+    let saved = table.versions.get(String(id))
+    return saved ? saved[saved.length - 1].revision : 0
+  }
 
+  /**
+   * Saved and pending versions of the given entry that the retention
+   * policy keeps, with the items of the saved ones read from disk
+   */
+  versionsOf (tableName, id) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Can't read history of non-existent table ${tableName}`)
+    }
     let table = this.tables[tableName]
-    let insertIx = table.inserts.findIndex(item => {
-      return item.id === id
-    })
-    if (insertIx !== -1) {
-      table.inserts.splice(insertIx, 1)
-    } else {
-      let updateIx = table.updates.findIndex(item => {
-        return item.id === id
-      })
-      if (updateIx !== -1) {
-        table.updates.splice(updateIx, 1)
-      } else {
-        table.removals.push(id)
+    if (!table.history) {
+      throw Error(`${tableName} doesn't keep a history, see enableHistory`)
+    }
+    let saved = table.versions.get(String(id)) || []
+    let versions = []
+    if (saved.length !== 0) {
+      let handle = this.storage.open(this.paths.history(tableName))
+      try {
+        for (let version of saved) {
+          let buf = this.storage.read(handle, version.pos, version.len)
+          let decoded
+          try {
+            decoded = record.decode(buf, this.cipher)
+          } catch (err) {
+            throw new CorruptionError(tableName, id,
+              `revision ${version.revision}: ${err.message}`)
+          }
+          versions.push(Object.assign({}, version, decoded.item))
+        }
+      } finally {
+        this.storage.close(handle)
       }
     }
-    this.writes++
-    if (table.cache[`i${id}`]) {
-      table.cache[`i${id}`] = null
+    for (let version of table.pendingVersions) {
+      if (version.id === id) versions.push(version)
     }
-    return true
+    return history.prune(versions, table.history, Date.now())
   }
 
   /**
-   * Truncate the given table
-   * tableName - Name of the table to truncate
-   * start - Anything bigger than this ID is removed
+   * Every version of the given entry that the history of its table
+   * has kept, oldest first, as { revision, timestamp, item }.
+   * item is null for removals and timestamp is null for the version
+   * that has been there before the history was enabled.
+   * Throws if the table doesn't keep a history.
+   *
+   * tableName - Name of the table
+   * id - ID of the entry
    */
-  truncate (tableName, start) {
-    if (!this.tableExists(tableName)) {
-      throw Error(`Can't truncate non-existent table ${tableName}`)
-    }
+  history (tableName, id) {
+    return this.versionsOf(tableName, id)
+      .map(({ revision, timestamp, item }) => ({
+        revision, timestamp, item: item && updates.clone(item)
+      }))
+  }
 
-    let table = this.tables[tableName]
-    if (start > table.lastId) {
-      throw Error(`Specified trim position ${start} is bigger than last ID ` +
-                  `${table.lastId} Make sure it is in bounds.`)
+  /**
+   * The given entry as it has been at the given time, null if it
+   * didn't exist or had been removed back then (as far as the
+   * history knows). Entries that haven't been changed since the
+   * history has been enabled are returned as they are now.
+   * Throws if the table doesn't keep a history.
+   *
+   * tableName - Name of the table
+   * id - ID of the entry
+   * timestamp - Date or milliseconds since the epoch
+   */
+  getAt (tableName, id, timestamp) {
+    let time = timestamp instanceof Date ? timestamp.getTime() : timestamp
+    let versions = this.versionsOf(tableName, id)
+    if (versions.length === 0) {
+      return this.get(tableName, id)
     }
+    let found = null
+    for (let version of versions) {
+      if (version.timestamp !== null && version.timestamp > time) break
+      found = version
+    }
+    return found && found.item && updates.clone(found.item)
+  }
 
-    [table.inserts, table.removals, table.updates].forEach(
-        ops => ops.forEach(item => {
-        if (item.id > start) {
-          ops.splice(ops.indexOf(item), 1)
-        }
-      })
-    )
+  /**
+   * Make the given revision of an entry (see history) its current
+   * version again, which is a new version itself. Reverting to a
+   * removal removes the entry. Returns the entry, null if removed.
+   *
+   * Throws if the history doesn't have that revision or a
+   * UniqueConstraintError if a unique index already contains
+   * one of the values.
+   *
+   * tableName - Name of the table
+   * id - ID of the entry
+   * revision - Revision number to go back to
+   */
+  revert (tableName, id, revision) {
+    this.checkWritable('revert')
+    let version = this.versionsOf(tableName, id)
+      .find(version => version.revision === revision)
+    if (!version) {
+      throw Error(`The history of ${tableName} has no revision ` +
+                  `${revision} of ${id}`)
+    }
+    if (version.item === null) {
+      if (this.get(tableName, id)) this.remove(tableName, id)
+      return null
+    }
+    this.put(tableName, id, updates.clone(version.item))
+    return this.get(tableName, id)
+  }
 
-    table.truncate = start
-    table.lastId = start
-    this.writes++
-    table.cache = {}
-    return true
-   }
+  /**
+   * Get the entry with the given ID from the given table,
+   * null if there is none
+   *
+   * options - { cache: false } to not add the entry to the cache
+   *           if it has to be read from disk, e. g. because it is only
+   *           needed once. Default: { cache: true }
+   */
+  get (tableName, id, options = {}) {
+    return this.lookup(tableName, id, null, options)
+  }
 
-  get (tableName, id, fd = null) {
+  /**
+   * get with a handle of the data file that is open already
+   * (or null), for going through many entries.
+   * Options can also be { expired: true } to get entries whose
+   * time to live is over but that haven't been removed yet.
+   */
+  lookup (tableName, id, handle, { cache = true, expired = false } = {}) {
     if (!this.tableExists(tableName)) {
       throw Error(`Cannot get ${id} from non-existent table ${tableName}`)
     }
 
     let table = this.tables[tableName]
+    if (!expired && isExpired(table, id, this.now())) {
+      return null
+    }
     let updateIx = table.updates.findIndex(item => {
       return item.id === id
     })
@@ -524,32 +3141,25 @@ module.exports = class Database {
       if (insertIx !== -1) {
         return table.inserts[insertIx]
       } else {
-        let removalIx = table.removals.findIndex(item => {
-          return item.id === id
-        })
-        if (removalIx === -1) {
-          let cacheItem = table.cache[`i${id}`]
-          if (cacheItem) {
-            if (cacheItem.timesUsed < 100) {
-              cacheItem.timesUsed++
-            }
-            return cacheItem.item
-          } else if (fs.existsSync(this.paths.tablefile(tableName))) {
-            let fdWasNull = false
-            if (fd === null) {
-              fd = fs.openSync(this.paths.tablefile(tableName), 'r')
-              fdWasNull = true
+        if (!table.removals.includes(id)) {
+          let cached = this.cache.get(tableName, id)
+          if (cached !== undefined) {
+            return cached
+          } else if (table.index[id] && !isTruncated(table, id) &&
+                     this.storage.exists(this.paths.tablefile(tableName))) {
+            let handleWasNull = false
+            if (handle === null) {
+              handle = this.storage.open(this.paths.tablefile(tableName))
+              handleWasNull = true
             }
             let indexEntry = table.index[id]
-            let buf = new Buffer(indexEntry.len)
-            fs.readSync(fd, buf, 0, indexEntry.len, indexEntry.pos)
-            if (fdWasNull) {
-              fs.closeSync(fd)
+            let buf = this.storage.read(handle, indexEntry.pos, indexEntry.len)
+            if (handleWasNull) {
+              this.storage.close(handle)
             }
-            let item = JSON.parse(buf)
-            table.cache[`i${id}`] = {
-              item,
-              timesUsed: 1
+            let item = this.decodeEntry(tableName, id, buf)
+            if (cache) {
+              this.cache.set(tableName, id, item, buf.length)
             }
             return item
           }
@@ -563,22 +3173,474 @@ module.exports = class Database {
     return null
   }
 
-  getAll (tableName) {
+  /**
+   * Get every entry of the given table, see entries
+   *
+   * options - { cache: false } to not fill the cache, see get
+   */
+  getAll (tableName, options = {}) {
     if (!this.tableExists(tableName)) {
       throw Error(`Cannot get all from non-existent table ${tableName}`)
     }
-    let allitems = []
-    let fd = null
-    if (fs.existsSync(this.paths.tablefile(tableName))) {
-      let fd = fs.openSync(this.paths.tablefile(tableName), 'r')
+    return Array.from(this.entries(tableName, options))
+  }
+
+  /**
+   * Go through every entry of the given table in order of their IDs,
+   * including inserts, updates and removals that have not been saved
+   * yet. Truncated and removed entries are skipped.
+   *
+   * tableName - Name of the table to go through
+   * options - { cache: false } to not fill the cache, see get
+   */
+  * entries (tableName, options = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot go through non-existent table ${tableName}`)
+    }
+    yield * this.scan(tableName, this.liveIds(tableName), options)
+  }
+
+  /**
+   * Go through the entries of the given table one at a time
+   * without reading all of them into memory:
+   *
+   *   for await (let item of db.iterate('users', { limit: 10 })) ...
+   *
+   * Inserts, updates and removals that have not been saved yet are
+   * taken into account, entries inserted while going through the table
+   * are not.
+   *
+   * tableName - Name of the table to go through
+   * options - {
+   *   where - Query the entries have to match, see find
+   *   sort - Fields to sort by, like { age: -1, name: 1 } (see
+   *          query.comparator). Default: by ID. Sorting by anything
+   *          else keeps all matching entries in memory.
+   *   limit - How many entries to yield at most
+   *   offset - How many matching entries to skip
+   *   after - Only yield the entries that come after this one in the
+   *           sort order: the last entry (or its ID) of the previous
+   *           page. Unlike offset, pages don't shift if entries are
+   *           inserted or removed in the meantime.
+   *   cache - false to not fill the cache, see get
+   * }
+   */
+  async * iterate (tableName, {
+    where = null, sort = null, limit = Infinity, offset = 0, after = null,
+    cache = true
+  } = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot iterate over non-existent table ${tableName}`)
+    }
+    let predicate = query.compile(where)
+    let compare = query.comparator(sort)
+    let ids = this.candidateIds(tableName, where)
+    let last = null
+    if (after !== null) {
+      let afterId = typeof after === 'object' ? after.id : after
+      if (sort === null) {
+        ids = ids.filter(id => id > afterId)
+      } else {
+        // The entry itself is needed to know where it is sorted to,
+        // unless it has been passed
+        last = typeof after === 'object'
+          ? after : this.get(tableName, afterId, { cache })
+        if (last === null) {
+          throw Error(`Cannot continue after ${afterId}, ` +
+                      `it is not in ${tableName} anymore`)
+        }
+      }
+    }
+    let items = this.scan(tableName, ids, { cache })
+    if (sort !== null) {
+      let matching = []
+      for (let item of items) {
+        if ((last === null || compare(item, last) > 0) && predicate(item)) {
+          matching.push(item)
+        }
+      }
+      items = matching.sort(compare)
+      predicate = () => true
+    }
+    let skipped = 0
+    let count = 0
+    for (let item of items) {
+      if (count >= limit) return
+      if (!predicate(item)) continue
+      if (skipped < offset) {
+        skipped++
+        continue
+      }
+      count++
+      yield item
+    }
+  }
+
+  /**
+   * IDs of all entries of the given table in ascending order,
+   * taking unsaved changes into account
+   */
+  liveIds (tableName) {
+    let table = this.tables[tableName]
+    let removals = new Set(table.removals)
+    let now = this.now()
+    let ids = new Set()
+    for (let key in table.index) {
+      let id = keys.parse(table.key, key)
+      if (!removals.has(id) && !isTruncated(table, id) &&
+          !isExpired(table, id, now)) {
+        ids.add(id)
+      }
+    }
+    for (let item of table.inserts) {
+      if (!isExpired(table, item.id, now)) ids.add(item.id)
+    }
+    return Array.from(ids).sort(keys.compare)
+  }
+
+  /**
+   * Look up the given IDs one after another, sharing a handle of the
+   * data file. IDs of entries that don't exist (anymore) are skipped.
+   */
+  * scan (tableName, ids, options) {
+    let table = this.tables[tableName]
+    let handle = null
+    let generation = table.generation
+    let openFile = () => {
+      if (this.storage.exists(this.paths.tablefile(tableName))) {
+        handle = this.storage.open(this.paths.tablefile(tableName))
+      }
+    }
+    openFile()
+    try {
+      for (let id of ids) {
+        let current = this.tables[tableName]
+        if (!current) return
+        if (current !== table || generation !== current.generation) {
+          // Compacted or reloaded in the meantime, positions
+          // in the index belong to the new data file
+          if (handle !== null) this.storage.close(handle)
+          handle = null
+          table = current
+          generation = table.generation
+          openFile()
+        }
+        let item = this.lookup(tableName, id, handle, options)
+        if (item) yield item
+      }
+    } finally {
+      if (handle !== null) {
+        this.storage.close(handle)
+      }
+    }
+  }
+
+  /**
+   * Find all entries matching the given query
+   *
+   * tableName - Name of the table to search in
+   * q - Either a function that gets an entry and returns
+   *     true if it matches, or a query object like
+   *     { age: { $gt: 30 }, city: 'Node Town' }
+   *     Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+   *     $regex (with $options), $exists, $not, $and, $or and $nor.
+   *     Keys can be dot-paths like 'address.city'
+   * options - { cache: false } to not fill the cache, see get
+   */
+  find (tableName, q = {}, options = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot find entries in non-existent table ${tableName}`)
+    }
+    let predicate = query.compile(q)
+    let found = []
+    for (let item of this.candidates(tableName, q, options)) {
+      if (predicate(item)) found.push(item)
+    }
+    return found
+  }
+
+  /**
+   * Like find, but returns only the first matching entry
+   * or null if nothing matches
+   */
+  findOne (tableName, q = {}, options = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot find entries in non-existent table ${tableName}`)
+    }
+    let predicate = query.compile(q)
+    for (let item of this.candidates(tableName, q, options)) {
+      if (predicate(item)) return item
+    }
+    return null
+  }
+
+  /**
+   * Number of entries matching the given query (see find),
+   * all entries if there is none. Nothing has to be read for that
+   * if there is no query or it only compares an indexed field
+   * to plain values.
+   */
+  count (tableName, q = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot count entries of non-existent table ${tableName}`)
+    }
+    if (isEmptyQuery(q)) {
+      return this.liveIds(tableName).length
+    }
+    if (query.isPlainObject(q) && Object.keys(q).length === 1) {
+      let ids = this.indexedIds(tableName, q)
+      if (ids !== null) return ids.length
+    }
+    let predicate = query.compile(q)
+    let count = 0
+    for (let item of this.candidates(tableName, q, {})) {
+      if (predicate(item)) count++
+    }
+    return count
+  }
+
+  /**
+   * Every value the given field has in the entries matching the query
+   * (all entries if there is none), in sort order (see iterate).
+   * If the field is an array, its elements count as values.
+   * Entries don't have to be read if the field is indexed
+   * and there is no query.
+   *
+   * tableName - Name of the table
+   * field - Name of the field (or a dot-path like 'address.city')
+   * q - Query, see find
+   */
+  distinct (tableName, field, q = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot get values of non-existent table ${tableName}`)
+    }
+    let table = this.tables[tableName]
+    let fieldIndex = table.fieldIndexes[field]
+    // The index still has the values of expired entries
+    if (fieldIndex && isEmptyQuery(q) && nextExpiry(table) > this.now()) {
+      return fieldIndex.distinct().sort(query.sortCompare)
+    }
+    let predicate = query.compile(q)
+    let values = new Map()
+    for (let item of this.candidates(tableName, q, {})) {
+      if (!predicate(item)) continue
+      let value = query.getPath(item, field)
+      for (let element of Array.isArray(value) ? value : [value]) {
+        if (element !== undefined) {
+          values.set(types.stringify(element), element)
+        }
+      }
+    }
+    return Array.from(values.values()).sort(query.sortCompare)
+  }
+
+  /**
+   * Compute metrics like sums and averages over the entries matching
+   * a query in a single pass, optionally for every group of entries
+   * that have the same values in some fields:
+   *
+   *   db.aggregate('orders', {
+   *     where: { status: 'paid' },
+   *     groupBy: 'customer',
+   *     metrics: { total: { $sum: 'amount' }, orders: { $count: true } }
+   *   })
+   *   // [{ customer: 'Nodey', total: 42, orders: 2 }, ...]
+   *
+   * Returns the metrics as an object without groupBy, otherwise one
+   * object per group with the values of the groupBy fields (null if
+   * missing) and the metrics, in sort order of the groupBy fields.
+   * Counting groups of an indexed field doesn't read any entries.
+   *
+   * tableName - Name of the table
+   * options - {
+   *   where - Query the entries have to match, see find
+   *   groupBy - Field (or dot-path) or array of fields to group by
+   *   metrics - Metrics to compute, see aggregation.js
+   *   cache - false to not fill the cache, see get
+   * }
+   */
+  aggregate (tableName, {
+    where = null, groupBy = null, metrics = {}, cache = true
+  } = {}) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot aggregate non-existent table ${tableName}`)
+    }
+    let fields = groupBy === null ? [] : [].concat(groupBy)
+    let compiled = aggregation.compile(metrics)
+    let groups = null
+    if (isEmptyQuery(where) && compiled.onlyCounts && fields.length === 1) {
+      groups = this.countGroups(tableName, fields[0], compiled)
+    }
+    if (groups === null) {
+      groups = new Map()
+      let predicate = query.compile(where)
+      for (let item of this.candidates(tableName, where, { cache })) {
+        if (!predicate(item)) continue
+        let values = fields.map(field => {
+          let value = query.getPath(item, field)
+          return value === undefined ? null : value
+        })
+        let key = types.stringify(values)
+        let group = groups.get(key)
+        if (!group) {
+          groups.set(key, group = { values, state: compiled.init() })
+        }
+        compiled.add(group.state, item)
+      }
+    }
+    if (fields.length === 0) {
+      let group = groups.get('[]')
+      return compiled.result(group ? group.state : compiled.init())
+    }
+    return Array.from(groups.values())
+      .sort((a, b) => {
+        for (let ix = 0; ix < fields.length; ix++) {
+          let result = query.sortCompare(a.values[ix], b.values[ix])
+          if (result !== 0) return result
+        }
+        return 0
+      })
+      .map(({ values, state }) => {
+        let result = {}
+        fields.forEach((field, ix) => {
+          result[field] = values[ix]
+        })
+        return Object.assign(result, compiled.result(state))
+      })
+  }
+
+  /**
+   * Groups for aggregate with only $count metrics, counted
+   * by the index of the given field. null if the field
+   * is not indexed or its index can't tell.
+   */
+  countGroups (tableName, field, compiled) {
+    let table = this.tables[tableName]
+    let fieldIndex = table.fieldIndexes[field]
+    let counts = fieldIndex && nextExpiry(table) > this.now()
+      ? fieldIndex.counts() : null
+    if (counts === null) return null
+    // Entries without the field are not in the index
+    let missing = this.liveIds(tableName).length
+    let groups = new Map()
+    for (let [value, count] of counts) {
+      groups.set(types.stringify([value]), { values: [value], count })
+      missing -= count
+    }
+    if (missing !== 0) {
+      let group = groups.get('[null]')
+      if (!group) groups.set('[null]', group = { values: [null], count: 0 })
+      group.count += missing
+    }
+    for (let group of groups.values()) {
+      group.state = compiled.init().map(() => group.count)
+    }
+    return groups
+  }
+
+  /**
+   * Entries that could match the given query.
+   * If the query compares an indexed field to plain values,
+   * only the entries with those values are looked up,
+   * otherwise this goes through the whole table.
+   * The query still has to be checked for every entry.
+   */
+  * candidates (tableName, q, options) {
+    yield * this.scan(tableName, this.candidateIds(tableName, q), options)
+  }
+
+  /**
+   * IDs of the entries that could match the given query in ascending
+   * order, see candidates
+   */
+  candidateIds (tableName, q) {
+    let ids = this.indexedIds(tableName, q)
+    return ids === null ? this.liveIds(tableName) : ids
+  }
+
+  /**
+   * IDs of the entries that could match the given query according
+   * to the index of a field it compares to plain values,
+   * null if there is no such index
+   */
+  indexedIds (tableName, q) {
+    let table = this.tables[tableName]
+    if (query.isPlainObject(q)) {
+      for (let field in table.fieldIndexes) {
+        if (!(field in q)) continue
+        let values = indexableValues(q[field])
+        if (values === null) continue
+        let now = this.now()
+        return table.fieldIndexes[field].lookup(values)
+          .filter(id => !isExpired(table, id, now))
+      }
+    }
+    return null
+  }
+
+  /**
+   * Read entries into the cache ahead of time,
+   * e. g. the ones that are going to be needed right after startup
+   *
+   * tableName - Name of the table
+   * ids - IDs of the entries to read. Default: all of them
+   * Returns how many entries have been found
+   */
+  warmCache (tableName, ids = null) {
+    if (!this.tableExists(tableName)) {
+      throw Error(`Cannot warm the cache of non-existent table ${tableName}`)
+    }
+    let count = 0
+    let items = ids === null ? this.entries(tableName)
+      : ids.map(id => this.get(tableName, id))
+    for (let item of items) {
+      if (item) count++
     }
-    for (let id in this.tables[tableName].index) {
-      allitems.push(this.get(tableName, id, fd))
+    return count
+  }
+
+  /**
+   * Statistics of the cache: hits, misses, evictions and the current
+   * number of entries and bytes, all together as well as per table:
+   * { hits, misses, evictions, entries, bytes, tables: { users: {...} } }
+   */
+  cacheStats () {
+    return this.cache.stats()
+  }
+
+  /**
+   * Create a secondary index on a field of the given table.
+   * The index is kept in memory, saved along with the table
+   * and used by find/findOne when the query compares that field
+   * to plain values. If the table does not exist, it will be created.
+   *
+   * tableName - Name of the table
+   * field - Name of the field (or a dot-path like 'address.city')
+   * options - { unique: true } to make sure no two entries
+   *           share the same value. Throws a UniqueConstraintError
+   *           if the table already contains duplicates.
+   */
+  createIndex (tableName, field, { unique = false } = {}) {
+    this.checkWritable('create indexes')
+    let table = this.createTable(tableName)
+    let existing = table.fieldIndexes[field]
+    if (existing && existing.unique === unique) {
+      return true
     }
-    if (fd !== null) {
-      fs.closeSync(fd)
+    let fieldIndex = new FieldIndex(field, unique)
+    for (let item of this.entries(tableName)) {
+      let other = fieldIndex.conflict(item)
+      if (other !== null) {
+        throw new UniqueConstraintError(tableName, field,
+          query.getPath(item, field), other)
+      }
+      fieldIndex.add(item)
     }
-    return allitems
+    table.fieldIndexes[field] = fieldIndex
+    table.metaChanged = true
+    this.writes++
+    this.journalAppend({ op: 'createIndex', table: tableName, field, unique })
+    return true
   }
 
 }
@@ -0,0 +1,147 @@
+'use strict'
+
+const crypto = require('crypto')
+const { EncryptionError } = require('./errors.js')
+
+/**
+ * Encryption at rest.
+ *
+ * Records, secondary indexes, the journal and natural keys in the
+ * index are encrypted with AES-256-GCM, which also tells if they have
+ * been tampered with.
+ * Encrypted text is a ~ followed by the IV, the authentication tag
+ * and the ciphertext in base64, so that it can't be mistaken for
+ * JSON and still fits into a line.
+ *
+ * The key file of a database contains the salt for passphrases and
+ * a known text encrypted with the key, so that a wrong key is noticed
+ * right away instead of when reading the first entry.
+ */
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const MARKER = '~'
+const CHECK = 'ezpzdb'
+
+class Cipher {
+
+  /**
+   * key - KEY_LENGTH bytes
+   */
+  constructor (key) {
+    this.key = key
+  }
+
+  encrypt (text) {
+    let iv = crypto.randomBytes(IV_LENGTH)
+    let cipher = crypto.createCipheriv(ALGORITHM, this.key, iv)
+    let encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+    return MARKER +
+      Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  }
+
+  /**
+   * Throws if the text hasn't been encrypted with this key
+   * or has been changed since
+   */
+  decrypt (text) {
+    let buf = Buffer.from(text.slice(MARKER.length), 'base64')
+    if (buf.length < IV_LENGTH + TAG_LENGTH) {
+      throw Error('can\'t be decrypted')
+    }
+    let decipher = crypto.createDecipheriv(ALGORITHM, this.key,
+                                           buf.slice(0, IV_LENGTH))
+    decipher.setAuthTag(buf.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+    try {
+      return Buffer.concat([
+        decipher.update(buf.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()
+      ]).toString('utf8')
+    } catch (err) {
+      throw Error('can\'t be decrypted')
+    }
+  }
+
+}
+
+/**
+ * Whether the given text (or Buffer) has been encrypted
+ */
+function isEncrypted (text) {
+  return text.length !== 0 && text[0] === (typeof text === 'string'
+    ? MARKER : MARKER.charCodeAt(0))
+}
+
+/**
+ * Turn what has been passed as the key into KEY_LENGTH bytes.
+ * That is either a Buffer of that length, a passphrase or a function
+ * returning one of them (e. g. to fetch it from a secret store).
+ * The function is called while the database is opened, which can't
+ * wait for anything, so it has to return the key right away.
+ */
+function resolveKey (key, salt) {
+  if (typeof key === 'function') {
+    key = key()
+    if (key && typeof key.then === 'function') {
+      throw new EncryptionError('The encryption key function has to ' +
+                                'return the key, not a promise')
+    }
+  }
+  if (Buffer.isBuffer(key)) {
+    if (key.length !== KEY_LENGTH) {
+      throw new EncryptionError(
+        `Encryption keys have to be ${KEY_LENGTH} bytes long`)
+    }
+    return key
+  }
+  if (typeof key === 'string' && key.length !== 0) {
+    return crypto.scryptSync(key, salt, KEY_LENGTH)
+  }
+  throw new EncryptionError('The encryption key has to be a Buffer ' +
+                            'or a passphrase')
+}
+
+/**
+ * New key file for the given key.
+ * Returns { cipher, keyFile }, keyFile being its content.
+ */
+function create (key) {
+  let salt = crypto.randomBytes(16)
+  let cipher = new Cipher(resolveKey(key, salt))
+  let keyFile = JSON.stringify({
+    algorithm: ALGORITHM,
+    salt: salt.toString('base64'),
+    check: cipher.encrypt(CHECK)
+  })
+  return { cipher, keyFile }
+}
+
+/**
+ * Cipher for the given key, throws an EncryptionError
+ * if it isn't the one the key file has been created with
+ *
+ * keyFile - Content of the key file
+ * key - See resolveKey
+ * dbpath - Directory of the database, for the error message
+ */
+function open (keyFile, key, dbpath) {
+  let { algorithm, salt, check } = JSON.parse(keyFile)
+  if (algorithm !== ALGORITHM) {
+    throw new EncryptionError(`${dbpath} has been encrypted with ` +
+                              `${algorithm}, which is not supported`)
+  }
+  let cipher = new Cipher(resolveKey(key, Buffer.from(salt, 'base64')))
+  try {
+    if (cipher.decrypt(check) === CHECK) return cipher
+  } catch (err) {
+    // Not the right key either
+  }
+  throw new EncryptionError(`Wrong encryption key for ${dbpath}`)
+}
+
+module.exports = {
+  isEncrypted,
+  create,
+  open
+}
@@ -0,0 +1,132 @@
+'use strict'
+
+/**
+ * Base class for all errors thrown on purpose by ezpzdb,
+ * so that you can tell them apart from anything else
+ * using instanceof.
+ */
+class DatabaseError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * Thrown when an insert or update would put a value into
+ * a unique field that is already used by another entry.
+ *
+ * table - Name of the table
+ * field - Field the unique index is on
+ * value - The duplicate value
+ * id - ID of the entry that already has this value
+ */
+class UniqueConstraintError extends DatabaseError {
+  constructor (table, field, value, id) {
+    super(`Duplicate value ${JSON.stringify(value)} for unique field ` +
+          `${field} in table ${table} (already used by ID ${id})`)
+    this.table = table
+    this.field = field
+    this.value = value
+    this.id = id
+  }
+}
+
+/**
+ * Thrown when an entry does not match the schema of its table.
+ *
+ * table - Name of the table
+ * errors - Array of { path, message }, one for every problem
+ */
+class ValidationError extends DatabaseError {
+  constructor (table, errors) {
+    super(`Invalid entry for table ${table}: ` +
+          errors.map(error => `${error.path} ${error.message}`).join(', '))
+    this.table = table
+    this.errors = errors
+  }
+}
+
+/**
+ * Thrown when a backup can't be written or restored,
+ * e. g. because it is incomplete or has been tampered with.
+ *
+ * message - What went wrong
+ * problems - Array of every single problem that was found, if any
+ */
+class BackupError extends DatabaseError {
+  constructor (message, problems = []) {
+    super(message)
+    this.problems = problems
+  }
+}
+
+/**
+ * Thrown when an entry can't be read because its record in the
+ * data file has been damaged. See Database.verify and repair.
+ *
+ * table - Name of the table
+ * id - ID of the entry
+ * reason - What is wrong with the record
+ */
+class CorruptionError extends DatabaseError {
+  constructor (table, id, reason) {
+    super(`Entry ${id} of table ${table} is corrupt: ${reason}`)
+    this.table = table
+    this.id = id
+    this.reason = reason
+  }
+}
+
+/**
+ * Thrown when trying to change a database that has been opened
+ * with the readOnly option.
+ *
+ * dbpath - Directory of the database
+ * operation - What was attempted, e. g. insert
+ */
+class ReadOnlyError extends DatabaseError {
+  constructor (dbpath, operation) {
+    super(`Can't ${operation}, ${dbpath} has been opened read-only`)
+    this.dbpath = dbpath
+    this.operation = operation
+  }
+}
+
+/**
+ * Thrown when opening a database that another instance
+ * (in this or another process) has opened for writing already.
+ *
+ * dbpath - Directory of the database
+ * owner - { pid, hostname, acquired } of the instance that has the lock,
+ *         null if that can't be told
+ */
+class LockError extends DatabaseError {
+  constructor (dbpath, owner) {
+    super(owner
+      ? `${dbpath} is in use by process ${owner.pid} on ${owner.hostname}`
+      : `${dbpath} is in use by another process`)
+    this.dbpath = dbpath
+    this.owner = owner
+  }
+}
+
+/**
+ * Thrown when an encrypted database is opened without its key
+ * or with the wrong one, or when the key itself is unusable.
+ *
+ * message - What went wrong
+ */
+class EncryptionError extends DatabaseError {
+}
+
+module.exports = {
+  DatabaseError,
+  UniqueConstraintError,
+  ValidationError,
+  BackupError,
+  CorruptionError,
+  ReadOnlyError,
+  LockError,
+  EncryptionError
+}
@@ -0,0 +1,187 @@
+'use strict'
+
+const { getPath } = require('./query.js')
+const { compare } = require('./keys.js')
+const types = require('./types.js')
+
+/**
+ * A secondary index on one field of a table.
+ * It maps every value of that field to the IDs of the entries
+ * that have this value, so that lookups by that field don't have
+ * to go through the whole table.
+ *
+ * Values are keyed by their typed JSON representation (see types.js).
+ * Arrays are indexed as a whole as well as by every single element,
+ * which is what queries like { tags: 'admin' } need.
+ * Entries where the field is undefined are not indexed.
+ */
+module.exports = class FieldIndex {
+
+  /**
+   * field - Field (or dot-path) to index
+   * unique - Whether a value may only be used by a single entry
+   */
+  constructor (field, unique = false) {
+    this.field = field
+    this.unique = unique
+    this.values = new Map()
+    // If this is an array, every change is recorded in it
+    // so that it can be undone, see undo
+    this.changes = null
+  }
+
+  /**
+   * Keys under which the field value of the given entry is stored
+   */
+  keysOf (item) {
+    let value = getPath(item, this.field)
+    if (value === undefined) return []
+    let keys = [types.stringify(value)]
+    if (Array.isArray(value)) {
+      for (let element of value) {
+        let key = types.stringify(element)
+        if (key !== undefined && !keys.includes(key)) keys.push(key)
+      }
+    }
+    return keys.filter(key => key !== undefined)
+  }
+
+  /**
+   * Returns the ID of another entry that already uses
+   * the field value of the given entry if this is a unique index,
+   * otherwise null.
+   *
+   * item - Entry to check
+   * id - ID of the entry itself, which is not a conflict
+   */
+  conflict (item, id = item.id) {
+    if (!this.unique) return null
+    for (let key of this.keysOf(item)) {
+      let ids = this.values.get(key)
+      if (!ids) continue
+      for (let other of ids) {
+        if (other !== id) return other
+      }
+    }
+    return null
+  }
+
+  add (item) {
+    for (let key of this.keysOf(item)) {
+      this.addKey(key, item.id)
+    }
+  }
+
+  remove (item) {
+    for (let key of this.keysOf(item)) {
+      this.removeKey(key, item.id)
+    }
+  }
+
+  addKey (key, id) {
+    let ids = this.values.get(key)
+    if (!ids) this.values.set(key, ids = new Set())
+    if (ids.has(id)) return
+    ids.add(id)
+    if (this.changes) this.changes.push([true, key, id])
+  }
+
+  removeKey (key, id) {
+    let ids = this.values.get(key)
+    if (!ids || !ids.has(id)) return
+    ids.delete(id)
+    if (ids.size === 0) this.values.delete(key)
+    if (this.changes) this.changes.push([false, key, id])
+  }
+
+  /**
+   * Remove every ID that matches the given function,
+   * used when truncating a table
+   */
+  removeWhere (predicate) {
+    for (let [key, ids] of this.values) {
+      for (let id of Array.from(ids)) {
+        if (predicate(id)) this.removeKey(key, id)
+      }
+    }
+  }
+
+  /**
+   * Revert all changes recorded since changes was set to an array
+   */
+  undo () {
+    let changes = this.changes
+    this.changes = null
+    for (let ix = changes.length - 1; ix >= 0; ix--) {
+      let [added, key, id] = changes[ix]
+      if (added) {
+        this.removeKey(key, id)
+      } else {
+        this.addKey(key, id)
+      }
+    }
+  }
+
+  /**
+   * IDs of all entries that have one of the given values,
+   * sorted in ascending order
+   */
+  lookup (values) {
+    let found = new Set()
+    for (let value of values) {
+      let ids = this.values.get(types.stringify(value))
+      if (ids) ids.forEach(id => found.add(id))
+    }
+    return Array.from(found).sort(compare)
+  }
+
+  /**
+   * Every value in the index with the number of entries that have it,
+   * like [[value, count], ...]. Returns null if an entry has an array
+   * as value, since its elements are counted on their own as well.
+   */
+  counts () {
+    let counts = []
+    for (let [key, ids] of this.values) {
+      let value = types.parse(key)
+      if (Array.isArray(value)) return null
+      counts.push([value, ids.size])
+    }
+    return counts
+  }
+
+  /**
+   * Every value in the index, where arrays count
+   * as their elements (like in queries)
+   */
+  distinct () {
+    return Array.from(this.values.keys())
+      .map(key => types.parse(key))
+      .filter(value => !Array.isArray(value))
+  }
+
+  clear () {
+    this.values.clear()
+  }
+
+  toJSON () {
+    let values = {}
+    for (let [key, ids] of this.values) {
+      values[key] = Array.from(ids)
+    }
+    return {
+      field: this.field,
+      unique: this.unique,
+      values
+    }
+  }
+
+  static fromJSON (json) {
+    let index = new FieldIndex(json.field, json.unique)
+    for (let key in json.values) {
+      index.values.set(key, new Set(json.values[key]))
+    }
+    return index
+  }
+
+}
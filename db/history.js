@@ -0,0 +1,66 @@
+'use strict'
+
+/**
+ * Record history of tables that keep one, see Database.enableHistory.
+ *
+ * Every insert, update and removal of an entry is a new version with
+ * a revision number (counting up from 1 for every entry) and the time
+ * it has been made at. Versions are appended to the history file of
+ * the table when saving, as records like those in the data file
+ * (see record.js) of objects like
+ *
+ *   { id: 1, revision: 2, timestamp: 1700000000000, item: {...} }
+ *
+ * where item is null for removals. Entries that have been there before
+ * the history has been enabled get a first version with a timestamp of
+ * null once they are changed, meaning that it isn't known since when.
+ */
+
+/**
+ * Turn the retention policy passed to enableHistory into
+ * { maxVersions, maxAge }, null meaning no limit
+ */
+function normalize ({ maxVersions = null, maxAge = null } = {}) {
+  if (maxVersions !== null &&
+      !(Number.isInteger(maxVersions) && maxVersions >= 1)) {
+    throw Error('maxVersions has to be a positive integer')
+  }
+  if (maxAge !== null && !(typeof maxAge === 'number' && maxAge > 0)) {
+    throw Error('maxAge has to be a positive number of milliseconds')
+  }
+  return { maxVersions, maxAge }
+}
+
+/**
+ * The versions of an entry (oldest first) that the retention policy
+ * keeps. The newest version is always kept since it is the current
+ * one, unless it is a removal older than maxAge. Versions older than
+ * maxAge are kept as long as they have been current since then.
+ *
+ * versions - Array of { timestamp, removed } or anything with those
+ * policy - See normalize
+ * now - Current time in milliseconds
+ */
+function prune (versions, { maxVersions, maxAge }, now) {
+  let start = 0
+  if (maxVersions !== null) {
+    start = Math.max(start, versions.length - maxVersions)
+  }
+  if (maxAge !== null) {
+    let last = versions[versions.length - 1]
+    if (last && last.removed && last.timestamp !== null &&
+        last.timestamp < now - maxAge) {
+      return []
+    }
+    while (start < versions.length - 1 &&
+           versions[start + 1].timestamp < now - maxAge) {
+      start++
+    }
+  }
+  return start === 0 ? versions : versions.slice(start)
+}
+
+module.exports = {
+  normalize,
+  prune
+}
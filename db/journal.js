@@ -0,0 +1,139 @@
+'use strict'
+
+const fs = require('fs')
+const mkdir = require('mkdir-p')
+const path = require('path')
+const { isEncrypted } = require('./encryption.js')
+const types = require('./types.js')
+
+/**
+ * Append-only write-ahead journal.
+ * Every insert/update/remove/truncate is appended to it as a
+ * JSON line before the call returns, so that operations which have
+ * not been saved yet can be replayed after a crash.
+ * The journal is emptied whenever all data has been saved.
+ *
+ * How often the journal is synced to disk is decided by the sync policy:
+ *  - always: after every single operation (safest, slowest)
+ *  - batch: after every batchSize operations, and at most interval
+ *    milliseconds after an operation that didn't fill a batch
+ *  - interval: every interval milliseconds if anything was appended
+ *
+ * Lines are encrypted if the database is, see encryption.js
+ */
+module.exports = class Journal {
+
+  /**
+   * file - Path of the journal file, created if it does not exist
+   * sync - Sync policy: always, batch or interval. Default: always
+   * batchSize - Operations per sync for the batch policy
+   * interval - Milliseconds between syncs for the interval policy,
+   *            how long the batch policy waits for a batch to fill up
+   * cipher - To encrypt operations with, null to write them as they are
+   */
+  constructor (file, { sync = 'always', batchSize = 100, interval = 1000 } = {},
+               cipher = null) {
+    if (!['always', 'batch', 'interval'].includes(sync)) {
+      throw Error(`Unknown journal sync policy ${sync}`)
+    }
+    this.file = file
+    this.cipher = cipher
+    this.sync = sync
+    this.batchSize = batchSize
+    this.interval = interval
+    this.unsynced = 0
+    mkdir.sync(path.dirname(file))
+    this.fd = fs.openSync(file, 'a+')
+    this.timer = null
+    if (sync === 'interval') {
+      this.timer = setInterval(() => this.flush(), interval)
+      // Don't keep the process alive just for the journal
+      this.timer.unref()
+    }
+  }
+
+  /**
+   * Read all operations that are in the journal.
+   * If the process died while an operation was being appended,
+   * the last line is incomplete. It is cut off so that new
+   * operations are not appended to a broken line.
+   */
+  replay () {
+    let content = fs.readFileSync(this.file, 'utf8')
+    let ops = []
+    let validLength = 0
+    let start = 0
+    let end
+    while ((end = content.indexOf('\n', start)) !== -1) {
+      let line = content.slice(start, end)
+      try {
+        ops.push(types.parse(this.decrypt(line)))
+      } catch (err) {
+        break
+      }
+      start = end + 1
+      validLength += Buffer.byteLength(line) + 1
+    }
+    if (validLength !== Buffer.byteLength(content)) {
+      fs.ftruncateSync(this.fd, validLength)
+      fs.fsyncSync(this.fd)
+    }
+    return ops
+  }
+
+  decrypt (line) {
+    if (!isEncrypted(line)) return line
+    if (!this.cipher) throw Error('encrypted, but there is no key')
+    return this.cipher.decrypt(line)
+  }
+
+  /**
+   * Append an operation, e. g. { op: 'insert', table: 'a', data: {} }
+   */
+  append (operation) {
+    let line = types.stringify(operation)
+    if (this.cipher) {
+      line = this.cipher.encrypt(line)
+    }
+    fs.writeSync(this.fd, line + '\n')
+    this.unsynced++
+    if (this.sync === 'always' ||
+        (this.sync === 'batch' && this.unsynced >= this.batchSize)) {
+      this.flush()
+    } else if (this.sync === 'batch' && this.timer === null) {
+      this.timer = setTimeout(() => this.flush(), this.interval)
+      this.timer.unref()
+    }
+  }
+
+  /**
+   * Sync everything that has been appended to disk
+   */
+  flush () {
+    if (this.sync === 'batch' && this.timer !== null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    if (this.unsynced === 0 || this.fd === null) return
+    fs.fsyncSync(this.fd)
+    this.unsynced = 0
+  }
+
+  /**
+   * Empty the journal, call this after all data has been saved
+   */
+  truncate () {
+    fs.ftruncateSync(this.fd, 0)
+    fs.fsyncSync(this.fd)
+    this.unsynced = 0
+  }
+
+  close () {
+    if (this.fd === null) return
+    this.flush()
+    if (this.sync === 'interval') clearInterval(this.timer)
+    fs.closeSync(this.fd)
+    this.fd = null
+  }
+
+}
@@ -0,0 +1,138 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Key strategies, i. e. where the IDs of the entries of a table
+ * come from. A table gets its strategy when it is created:
+ *
+ * 'autoincrement' - 1, 2, 3 and so on (default). Truncating a table
+ *                   makes the IDs start over after the truncation point.
+ * 'uuid' - Random UUIDs like '3b241101-e2bb-4255-8caf-4136c566a962'
+ * 'ulid' - ULIDs like '01ARZ3NDEKTSV4RRFFQ69G5FAV', which sort by the
+ *          time they have been created in
+ * { field: 'email' } - The value of that field of the entry, which has
+ *                      to be a non-empty string (a natural key)
+ *
+ * IDs of every strategy but autoincrement are strings.
+ */
+
+const GENERATED = ['autoincrement', 'uuid', 'ulid']
+
+// Crockford's base32, which ULIDs are written in
+const ULID_ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+/**
+ * Turn what has been passed as the key strategy into
+ * { type } or { type: 'field', field }, throws if it is invalid
+ */
+function normalize (key = 'autoincrement') {
+  if (GENERATED.includes(key)) {
+    return { type: key }
+  }
+  if (key !== null && typeof key === 'object' &&
+      typeof key.field === 'string' && key.field !== '' &&
+      key.field !== 'id') {
+    return { type: 'field', field: key.field }
+  }
+  throw Error(`Unknown key strategy ${JSON.stringify(key)}, use ` +
+              `${GENERATED.join(', ')} or { field: 'name' }`)
+}
+
+function isNumeric (strategy) {
+  return strategy.type === 'autoincrement'
+}
+
+// Time and random part of the last ULID, see ulid
+let lastTime = -1
+let lastRandom = null
+
+/**
+ * A new ULID. Within the same millisecond, the random part of the
+ * previous one is incremented instead of drawing a new one (monotonic
+ * ULIDs in the spec), so that they still sort in the order they have
+ * been created in.
+ */
+function ulid () {
+  let time = Date.now()
+  if (time <= lastTime) {
+    // Also if the clock has gone back
+    time = lastTime
+    let ix = lastRandom.length - 1
+    while (ix >= 0 && lastRandom[ix] === 31) {
+      lastRandom[ix--] = 0
+    }
+    if (ix < 0) {
+      throw Error('Too many ULIDs within the same millisecond')
+    }
+    lastRandom[ix]++
+  } else {
+    lastTime = time
+    lastRandom = Array.from(crypto.randomBytes(16), byte => byte % 32)
+  }
+  let chars = ''
+  for (let ix = 0; ix < 10; ix++) {
+    chars = ULID_ENCODING[time % 32] + chars
+    time = Math.floor(time / 32)
+  }
+  for (let digit of lastRandom) {
+    chars += ULID_ENCODING[digit]
+  }
+  return chars
+}
+
+/**
+ * New ID for an entry of a table with the given strategy,
+ * null for autoincrement and natural keys
+ */
+function generate (strategy) {
+  switch (strategy.type) {
+    case 'uuid':
+      return crypto.randomUUID()
+    case 'ulid':
+      return ulid()
+  }
+  return null
+}
+
+/**
+ * Whether the given ID can be used with the given strategy
+ */
+function isValid (strategy, id) {
+  return isNumeric(strategy)
+    ? Number.isInteger(id) && id >= 1
+    : typeof id === 'string' && id !== ''
+}
+
+/**
+ * ID for a key of the index in memory or a command-line argument,
+ * which are always strings
+ */
+function parse (strategy, key) {
+  return isNumeric(strategy) ? Number(key) : key
+}
+
+/**
+ * How an ID is written to the index file. Strings are written as
+ * JSON so that they can contain commas and line breaks.
+ */
+function format (strategy, id) {
+  return isNumeric(strategy) ? String(id) : JSON.stringify(id)
+}
+
+/**
+ * Order of IDs, for numbers as well as strings
+ */
+function compare (a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+module.exports = {
+  normalize,
+  isNumeric,
+  generate,
+  isValid,
+  parse,
+  format,
+  compare
+}
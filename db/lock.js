@@ -0,0 +1,128 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const mkdir = require('mkdir-p')
+const { LockError } = require('./errors.js')
+
+/**
+ * Lock files that make sure only one instance writes to a database.
+ *
+ * The lock file is created exclusively and contains the PID and the
+ * host name of its owner. A lock is stale if its owner has died
+ * without removing it, which can only be told on the same host.
+ * Stale locks are taken over.
+ *
+ * New databases are locked right away as well, creating their
+ * directory. It is removed again along with the lock if nothing
+ * has been saved to it by then.
+ */
+
+// How long a lock file may be empty (because its owner is still
+// writing it) until it is considered stale, in milliseconds
+const EMPTY_LOCK_TIMEOUT = 5000
+
+// Lock files held by this process, so that a lock with our own PID
+// can be told apart from one left behind by a dead process that
+// happened to have the same PID. Value is whether acquire has
+// created the directory.
+const held = new Map()
+
+function parseOwner (content) {
+  try {
+    return JSON.parse(content)
+  } catch (err) {
+    return null
+  }
+}
+
+function isStale (file, owner) {
+  if (owner === null) {
+    try {
+      return Date.now() - fs.statSync(file).mtimeMs > EMPTY_LOCK_TIMEOUT
+    } catch (err) {
+      // Gone in the meantime
+      return err.code === 'ENOENT'
+    }
+  }
+  if (owner.hostname !== os.hostname()) return false
+  if (owner.pid === process.pid) return !held.has(file)
+  try {
+    process.kill(owner.pid, 0)
+    return false
+  } catch (err) {
+    // EPERM means it is running as another user
+    return err.code === 'ESRCH'
+  }
+}
+
+/**
+ * Lock the database in the given directory, creating the directory
+ * if necessary. Throws a LockError if it is locked already.
+ * Returns the path of the lock file, which is needed to release it.
+ */
+function acquire (dir) {
+  let file = path.resolve(dir, 'lock')
+  let owner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquired: new Date().toISOString()
+  }
+  let created = !fs.existsSync(dir)
+  mkdir.sync(dir)
+  for (;;) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(owner), { flag: 'wx' })
+      held.set(file, created)
+      return file
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+    }
+    let content = null
+    try {
+      content = fs.readFileSync(file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') continue
+      throw err
+    }
+    let other = parseOwner(content)
+    if (!isStale(file, other)) {
+      throw new LockError(dir, other)
+    }
+    // Only remove it if nobody else has taken it over in the meantime
+    try {
+      if (fs.readFileSync(file, 'utf8') === content) fs.unlinkSync(file)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+}
+
+/**
+ * Remove a lock file returned by acquire
+ */
+function release (file) {
+  if (!held.has(file)) return
+  let created = held.get(file)
+  held.delete(file)
+  try {
+    let owner = parseOwner(fs.readFileSync(file, 'utf8'))
+    if (owner && owner.pid === process.pid) fs.unlinkSync(file)
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  if (created) {
+    try {
+      // Only if nothing has been saved to it
+      fs.rmdirSync(path.dirname(file))
+    } catch (err) {
+      if (!['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(err.code)) throw err
+    }
+  }
+}
+
+module.exports = {
+  acquire,
+  release
+}
@@ -0,0 +1,67 @@
+'use strict'
+
+const util = require('util')
+const chalk = require('chalk')
+const logsym = require('log-symbols')
+
+/**
+ * Logging. A logger is anything with debug, info, warn and error
+ * methods that take a message (or an Error for error), which is what
+ * console, pino and winston loggers look like.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+function format (message) {
+  return typeof message === 'string' ? message : util.inspect(message)
+}
+
+/**
+ * What is used if no logger is passed,
+ * writes everything to stdout and errors to stderr
+ */
+const defaultLogger = {
+  debug (message) {
+    process.stdout.write(`[ezpzdb] ${format(message)}\n`)
+  },
+  info (message) {
+    process.stdout.write(`[ezpzdb] ${logsym.info} ${format(message)}\n`)
+  },
+  warn (message) {
+    process.stdout.write(`[ezpzdb] ${logsym.warning} ${format(message)}\n`)
+  },
+  error (message) {
+    process.stderr.write(`${chalk.red('[ezpzdb error]')} ${format(message)}\n`)
+  }
+}
+
+/**
+ * Create the logger of a database instance, which passes everything
+ * from the given level upwards on to logger
+ *
+ * logger - Logger to use, the default one if missing
+ * level - debug, info, warn, error or silent. Default: info for
+ *         the default logger and debug for your own logger, so that
+ *         it can decide for itself.
+ */
+function create ({ logger = null, level = null } = {}) {
+  if (level === null) {
+    level = logger ? 'debug' : 'info'
+  }
+  if (!LEVELS.includes(level)) {
+    throw Error(`Unknown log level ${level}, use one of ${LEVELS.join(', ')}`)
+  }
+  let target = logger || defaultLogger
+  let minimum = LEVELS.indexOf(level)
+  let result = {}
+  for (let name of LEVELS.slice(0, -1)) {
+    result[name] = LEVELS.indexOf(name) >= minimum
+      ? message => target[name](message)
+      : () => {}
+  }
+  return result
+}
+
+module.exports = {
+  create
+}
@@ -0,0 +1,302 @@
+'use strict'
+
+/**
+ * Query matching for find/findOne and friends.
+ * A query is either a function that receives an entry and returns
+ * whether it matches, or a Mongo-style object like this one:
+ *
+ *   {
+ *     age: { $gt: 30 },
+ *     city: 'Node Town',
+ *     'address.street': /Node St$/,
+ *     $or: [{ country: 'Nodeland' }, { country: { $exists: false } }]
+ *   }
+ *
+ * Keys can be dot-paths to reach into nested objects and arrays
+ * (e. g. 'someArray.0' or 'someObject.anotherNumber').
+ */
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+}
+
+function isOperatorObject (value) {
+  if (!isPlainObject(value)) return false
+  let keys = Object.keys(value)
+  return keys.length > 0 && keys.every(key => key.startsWith('$'))
+}
+
+/**
+ * Resolve a dot-path like 'a.b.c' on the given object.
+ * Returns undefined if any part of the path does not exist.
+ */
+function getPath (obj, path) {
+  let parts = String(path).split('.')
+  let current = obj
+  for (let part of parts) {
+    if (current === null || typeof current !== 'object') {
+      return undefined
+    }
+    current = current[part]
+  }
+  return current
+}
+
+/**
+ * Whether the given dot-path exists on the object, even if
+ * the value it points to is null or undefined.
+ */
+function hasPath (obj, path) {
+  let parts = String(path).split('.')
+  let current = obj
+  for (let part of parts) {
+    if (current === null || typeof current !== 'object' ||
+        !(part in current)) {
+      return false
+    }
+    current = current[part]
+  }
+  return true
+}
+
+function deepEqual (a, b) {
+  if (a === b) return true
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b)
+  if ((a instanceof Map && b instanceof Map) ||
+      (a instanceof Set && b instanceof Set)) {
+    return deepEqual(Array.from(a), Array.from(b))
+  }
+  if (a === null || b === null ||
+      typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  let keysA = Object.keys(a)
+  let keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+  return keysA.every(key => deepEqual(a[key], b[key]))
+}
+
+/**
+ * Compare two values for $gt/$gte/$lt/$lte.
+ * Returns null if the values can't be compared to each other
+ * (e. g. a string and a number), which never matches.
+ */
+function compare (a, b) {
+  if (a instanceof Date) a = a.getTime()
+  if (b instanceof Date) b = b.getTime()
+  if (typeof a !== typeof b ||
+      !['number', 'string', 'bigint'].includes(typeof a)) {
+    return null
+  }
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * Equality the way Mongo does it: if the stored value is an array,
+ * it matches when the array itself or one of its elements is equal.
+ */
+function valueEquals (value, expected) {
+  if (expected instanceof RegExp) {
+    return testRegex(value, expected)
+  }
+  if (deepEqual(value, expected)) return true
+  if (Array.isArray(value)) {
+    return value.some(element => deepEqual(element, expected))
+  }
+  return false
+}
+
+function testRegex (value, regex) {
+  if (Array.isArray(value)) {
+    return value.some(element => testRegex(element, regex))
+  }
+  if (typeof value !== 'string') return false
+  regex.lastIndex = 0
+  return regex.test(value)
+}
+
+function compareAny (value, expected, accept) {
+  let values = Array.isArray(value) ? value : [value]
+  return values.some(element => {
+    let result = compare(element, expected)
+    return result !== null && accept(result)
+  })
+}
+
+const operators = {
+  $eq: (value, expected) => valueEquals(value, expected),
+  $ne: (value, expected) => !valueEquals(value, expected),
+  $gt: (value, expected) => compareAny(value, expected, r => r > 0),
+  $gte: (value, expected) => compareAny(value, expected, r => r >= 0),
+  $lt: (value, expected) => compareAny(value, expected, r => r < 0),
+  $lte: (value, expected) => compareAny(value, expected, r => r <= 0),
+  $in (value, expected) {
+    if (!Array.isArray(expected)) {
+      throw Error('$in needs an array')
+    }
+    return expected.some(candidate => valueEquals(value, candidate))
+  },
+  $nin (value, expected) {
+    if (!Array.isArray(expected)) {
+      throw Error('$nin needs an array')
+    }
+    return !expected.some(candidate => valueEquals(value, candidate))
+  },
+  $regex (value, expected, condition) {
+    let regex = expected instanceof RegExp
+      ? expected : new RegExp(expected, condition.$options || '')
+    return testRegex(value, regex)
+  },
+  // Only makes sense together with $regex, which reads it itself
+  $options: () => true,
+  $exists: (value, expected, condition, exists) => exists === !!expected,
+  $not: (value, expected, condition, exists) =>
+    !matchCondition(value, expected, exists)
+}
+
+/**
+ * Check a single field against its condition.
+ * The condition is either a plain value to compare against
+ * or an object of operators.
+ */
+function matchCondition (value, condition, exists) {
+  if (!isOperatorObject(condition)) {
+    return valueEquals(value, condition)
+  }
+  for (let op in condition) {
+    let operator = operators[op]
+    if (!operator) {
+      throw Error(`Unknown query operator ${op}`)
+    }
+    if (!operator(value, condition[op], condition, exists)) {
+      return false
+    }
+  }
+  return true
+}
+
+function matchLogical (item, op, queries) {
+  if (!Array.isArray(queries)) {
+    throw Error(`${op} needs an array of queries`)
+  }
+  switch (op) {
+    case '$and':
+      return queries.every(query => matches(item, query))
+    case '$or':
+      return queries.some(query => matches(item, query))
+    case '$nor':
+      return !queries.some(query => matches(item, query))
+  }
+  throw Error(`Unknown query operator ${op}`)
+}
+
+/**
+ * Check whether an entry matches the given query.
+ * An empty query (or none at all) matches everything.
+ */
+function matches (item, query) {
+  if (query === undefined || query === null) return true
+  if (typeof query === 'function') return !!query(item)
+  if (!isPlainObject(query)) {
+    throw Error('A query has to be a function or an object')
+  }
+  for (let key in query) {
+    if (key.startsWith('$')) {
+      if (!matchLogical(item, key, query[key])) return false
+    } else if (!matchCondition(getPath(item, key), query[key],
+                               hasPath(item, key))) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Turn a query into a predicate function so that it
+ * can be passed around (or to Array.prototype.filter)
+ */
+function compile (query) {
+  if (typeof query === 'function') return query
+  return item => matches(item, query)
+}
+
+/**
+ * Where values of different types go when sorting,
+ * similar to the order Mongo uses
+ */
+function typeRank (value) {
+  if (value === undefined || value === null) return 0
+  switch (typeof value) {
+    case 'number':
+    case 'bigint':
+      return 1
+    case 'string':
+      return 2
+    case 'boolean':
+      return 4
+  }
+  return value instanceof Date ? 5 : 3
+}
+
+/**
+ * Total order of any two values, unlike compare
+ */
+function sortCompare (a, b) {
+  let rankA = typeRank(a)
+  let rankB = typeRank(b)
+  if (rankA !== rankB) return rankA - rankB
+  switch (rankA) {
+    case 0:
+      return 0
+    case 3:
+      a = JSON.stringify(a)
+      b = JSON.stringify(b)
+      break
+    case 5:
+      a = a.getTime()
+      b = b.getTime()
+  }
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * Turn a sort order like { age: -1, name: 1 } into a function
+ * that compares two entries, for Array.prototype.sort.
+ * 1 means ascending and -1 descending order, keys can be dot-paths.
+ * Entries that are equal otherwise are sorted by ID.
+ */
+function comparator (sort) {
+  if (sort === null || sort === undefined) sort = {}
+  if (!isPlainObject(sort)) {
+    throw Error('The sort order has to be an object like { age: -1 }')
+  }
+  let fields = Object.keys(sort).map(path => {
+    if (sort[path] !== 1 && sort[path] !== -1) {
+      throw Error(`Sort direction of ${path} has to be 1 or -1`)
+    }
+    return { path, direction: sort[path] }
+  })
+  return (a, b) => {
+    for (let { path, direction } of fields) {
+      let result = sortCompare(getPath(a, path), getPath(b, path))
+      if (result !== 0) return result * direction
+    }
+    return sortCompare(a.id, b.id)
+  }
+}
+
+module.exports = {
+  compile,
+  comparator,
+  sortCompare,
+  matches,
+  getPath,
+  hasPath,
+  deepEqual,
+  isPlainObject
+}
@@ -0,0 +1,163 @@
+'use strict'
+
+/**
+ * How records are stored in the data file of a table.
+ *
+ * Every record is a line of its own: the CRC-32 checksum of the rest
+ * of the line as 8 hex digits, a space and the entry as JSON (typed
+ * JSON to be exact, see types.js), e. g.
+ *
+ *   3f1c09a2 {"name":"Nodey","id":1}
+ *
+ * Removals are written as well, as a minus followed by the ID,
+ * so that the index can be rebuilt from the data file alone.
+ * If the database is encrypted, everything after the checksum is
+ * encrypted (see encryption.js), the checksum is of what has been
+ * written so that damaged records can be told apart from a wrong key.
+ * Data files written by older versions contain plain JSON without
+ * checksums or line breaks, which can still be read.
+ */
+
+const { isEncrypted } = require('./encryption.js')
+const types = require('./types.js')
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c
+})
+
+function crc32 (buf) {
+  let crc = -1
+  for (let ix = 0; ix < buf.length; ix++) {
+    crc = CRC_TABLE[(crc ^ buf[ix]) & 0xff] ^ (crc >>> 8)
+  }
+  return ((crc ^ -1) >>> 0).toString(16).padStart(8, '0')
+}
+
+const NEWLINE = 0x0a
+const OPENING_BRACE = 0x7b
+// Checksum, space and the line break
+const OVERHEAD = 10
+
+function frame (payload, cipher) {
+  if (cipher) {
+    payload = cipher.encrypt(payload)
+  }
+  return `${crc32(Buffer.from(payload))} ${payload}\n`
+}
+
+/**
+ * Record of the given entry as it is written to the data file
+ *
+ * cipher - To encrypt the record with, null if the database
+ *          isn't encrypted
+ */
+function encode (item, cipher = null) {
+  return frame(types.stringify(item), cipher)
+}
+
+/**
+ * Record saying that the entry with the given ID has been removed
+ */
+function encodeRemoval (id, cipher = null) {
+  return frame(`-${JSON.stringify(id)}`, cipher)
+}
+
+/**
+ * Whether the record has been written by an older version
+ */
+function isLegacy (buf) {
+  return buf[0] === OPENING_BRACE
+}
+
+/**
+ * Turn a record read from the data file back into { item } or
+ * { removed: id }. Throws if it has been damaged or can't be
+ * decrypted with the given cipher.
+ */
+function decode (buf, cipher = null) {
+  if (isLegacy(buf)) {
+    return { item: types.parse(buf) }
+  }
+  if (buf.length < OVERHEAD + 1 || buf[8] !== 0x20 ||
+      buf[buf.length - 1] !== NEWLINE) {
+    throw Error('not a record')
+  }
+  let payload = buf.slice(9, buf.length - 1)
+  if (crc32(payload) !== buf.toString('latin1', 0, 8)) {
+    throw Error('checksum mismatch')
+  }
+  let text = payload.toString()
+  if (isEncrypted(text)) {
+    if (!cipher) throw Error('encrypted, but there is no key')
+    text = cipher.decrypt(text)
+  }
+  if (text.startsWith('-')) {
+    return { removed: JSON.parse(text.slice(1)) }
+  }
+  return { item: types.parse(text) }
+}
+
+const CHUNK_SIZE = 64 * 1024
+
+/**
+ * Go through every record in the given data file.
+ * Yields { pos, len, item } for entries, { pos, len, removed } for
+ * removals and { pos, len, error } for anything that can't be read.
+ * An incomplete last record (cut off by a crash) has incomplete: true.
+ *
+ * storage - Storage adapter the file is in
+ * file - Path of the data file
+ * size - Only read this many bytes, the whole file by default
+ * cipher - To decrypt records with, see decode
+ */
+function * scan (storage, file, { size = storage.size(file),
+                                  cipher = null } = {}) {
+  let handle = storage.open(file)
+  try {
+    let pending = Buffer.alloc(0)
+    let pendingPos = 0
+    let readPos = 0
+    while (readPos < size) {
+      let chunk = storage.read(handle, readPos,
+                               Math.min(CHUNK_SIZE, size - readPos))
+      if (chunk.length === 0) break
+      readPos += chunk.length
+      pending = Buffer.concat([pending, chunk])
+      let start = 0
+      let end
+      while ((end = pending.indexOf(NEWLINE, start)) !== -1) {
+        yield read(pending.slice(start, end + 1), pendingPos + start, cipher)
+        start = end + 1
+      }
+      pending = pending.slice(start)
+      pendingPos += start
+    }
+    if (pending.length !== 0) {
+      yield { pos: pendingPos, len: pending.length,
+              error: 'incomplete record', incomplete: true }
+    }
+  } finally {
+    storage.close(handle)
+  }
+}
+
+function read (buf, pos, cipher) {
+  let len = buf.length
+  try {
+    return Object.assign({ pos, len }, decode(buf, cipher))
+  } catch (err) {
+    return { pos, len, error: err.message }
+  }
+}
+
+module.exports = {
+  encode,
+  encodeRemoval,
+  decode,
+  isLegacy,
+  scan
+}
@@ -0,0 +1,285 @@
+'use strict'
+
+const { isPlainObject } = require('./query.js')
+const { ValidationError } = require('./errors.js')
+
+/**
+ * Table schemas.
+ *
+ * A schema is an object with field names as keys and a field
+ * definition as value. A field definition looks like this:
+ *
+ *   {
+ *     type: 'string' | 'number' | 'integer' | 'boolean' | 'date' |
+ *           'object' | 'array' | 'any',
+ *     required: true,         // must not be missing, undefined or null
+ *     default: 'something',   // used if the field is missing on insert
+ *     enum: ['a', 'b'],       // value has to be one of these
+ *     min: 0, max: 10,        // value for numbers and dates,
+ *                             // length for strings and arrays
+ *     pattern: '^[a-z]+$',    // regular expression for strings
+ *     fields: { ... },        // schema for objects
+ *     allowUnknown: true,     // allow fields in objects that are not in fields
+ *     items: { ... }          // field definition for array elements
+ *   }
+ *
+ * There are shorthands as well: 'string' is { type: 'string' },
+ * ['string'] is an array of strings and a plain object without
+ * a type is an object with these fields.
+ *
+ * Schemas are stored in the meta file of a table, which is why
+ * everything in them has to be JSON (no functions or RegExps).
+ */
+
+const TYPES = [
+  'string', 'number', 'integer', 'boolean', 'date', 'object', 'array', 'any'
+]
+
+/**
+ * Expand shorthands and check that the field definition makes sense
+ */
+function normalizeField (definition, path) {
+  if (typeof definition === 'string') {
+    definition = { type: definition }
+  } else if (Array.isArray(definition)) {
+    if (definition.length !== 1) {
+      throw Error(`${path}: array shorthand needs exactly one element type`)
+    }
+    definition = { type: 'array', items: definition[0] }
+  } else if (isPlainObject(definition) && !('type' in definition)) {
+    definition = { type: 'object', fields: definition }
+  } else if (!isPlainObject(definition)) {
+    throw Error(`${path}: invalid field definition`)
+  }
+  definition = Object.assign({}, definition)
+  if (!TYPES.includes(definition.type)) {
+    throw Error(`${path}: unknown type ${definition.type}`)
+  }
+  if (definition.fields) {
+    if (definition.type !== 'object') {
+      throw Error(`${path}: only objects can have fields`)
+    }
+    definition.fields = normalizeFields(definition.fields, path)
+  }
+  if (definition.items) {
+    if (definition.type !== 'array') {
+      throw Error(`${path}: only arrays can have items`)
+    }
+    definition.items = normalizeField(definition.items, `${path}[]`)
+  }
+  if ('enum' in definition && !Array.isArray(definition.enum)) {
+    throw Error(`${path}: enum has to be an array`)
+  }
+  if ('pattern' in definition) {
+    // Throws if it's not a valid regular expression
+    new RegExp(definition.pattern)
+  }
+  if (containsFunction(definition)) {
+    throw Error(`${path}: field definitions have to be JSON`)
+  }
+  return definition
+}
+
+function containsFunction (value) {
+  if (typeof value === 'function' || value instanceof RegExp) return true
+  if (value === null || typeof value !== 'object') return false
+  return Object.keys(value).some(key => containsFunction(value[key]))
+}
+
+function normalizeFields (fields, path = '') {
+  if (!isPlainObject(fields)) {
+    throw Error(`${path || 'schema'}: fields have to be an object`)
+  }
+  let normalized = {}
+  for (let name in fields) {
+    normalized[name] = normalizeField(fields[name],
+      path ? `${path}.${name}` : name)
+  }
+  return normalized
+}
+
+/**
+ * Turn the schema passed to defineTable into what is stored
+ * in the meta file. Throws if the schema is invalid.
+ *
+ * fields - Field names as keys, field definitions as values
+ * allowUnknown - Whether entries may contain fields not in the schema
+ */
+function normalize (fields, { allowUnknown = false } = {}) {
+  if ('id' in fields) {
+    throw Error('id is assigned by the database and can\'t be in a schema')
+  }
+  return {
+    type: 'object',
+    fields: normalizeFields(fields),
+    allowUnknown
+  }
+}
+
+function typeName (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (value instanceof Date) return 'date'
+  return typeof value
+}
+
+/**
+ * Convert the value into the given type if that can be done
+ * without losing anything, e. g. '42' into 42.
+ * Returns undefined if it can't be converted.
+ */
+function coerce (value, type) {
+  switch (type) {
+    case 'any':
+      return value
+    case 'string':
+      if (typeof value === 'string') return value
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value)
+      }
+      return undefined
+    case 'number':
+    case 'integer': {
+      let number = value
+      if (typeof value === 'string' && value.trim() !== '') {
+        number = Number(value)
+      }
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return undefined
+      }
+      if (type === 'integer' && !Number.isInteger(number)) return undefined
+      return number
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value
+      if (value === 'true') return true
+      if (value === 'false') return false
+      return undefined
+    case 'date': {
+      let date = value
+      if (typeof value === 'string' || typeof value === 'number') {
+        date = new Date(value)
+      }
+      if (!(date instanceof Date) || isNaN(date.getTime())) return undefined
+      return date
+    }
+    case 'object':
+      return isPlainObject(value) ? value : undefined
+    case 'array':
+      return Array.isArray(value) ? value : undefined
+  }
+  return undefined
+}
+
+function copy (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Check a value against its field definition.
+ * Every problem is pushed to errors as { path, message }.
+ * Returns the coerced value.
+ */
+function check (value, definition, path, errors) {
+  let coerced = coerce(value, definition.type)
+  if (coerced === undefined) {
+    errors.push({
+      path,
+      message: `expected ${definition.type} but got ${typeName(value)}`
+    })
+    return value
+  }
+  value = coerced
+  if (definition.enum &&
+      !definition.enum.some(allowed => allowed === value)) {
+    errors.push({
+      path,
+      message: `must be one of ${definition.enum.map(
+        allowed => JSON.stringify(allowed)).join(', ')}`
+    })
+  }
+  let size = value
+  let what = 'be'
+  if (typeof value === 'string' || Array.isArray(value)) {
+    size = value.length
+    what = 'have a length of'
+  } else if (value instanceof Date) {
+    size = value.getTime()
+  }
+  let bound = limit => definition.type === 'date'
+    ? new Date(limit).getTime() : limit
+  if ('min' in definition && size < bound(definition.min)) {
+    errors.push({ path, message: `must ${what} at least ${definition.min}` })
+  }
+  if ('max' in definition && size > bound(definition.max)) {
+    errors.push({ path, message: `must ${what} at most ${definition.max}` })
+  }
+  if (definition.pattern && typeof value === 'string' &&
+      !new RegExp(definition.pattern).test(value)) {
+    errors.push({ path, message: `must match ${definition.pattern}` })
+  }
+  if (definition.type === 'object' && definition.fields) {
+    value = checkFields(value, definition, path, errors, false)
+  }
+  if (definition.type === 'array' && definition.items) {
+    value = value.map((element, ix) =>
+      check(element, definition.items, join(path, ix), errors))
+  }
+  return value
+}
+
+function join (path, key) {
+  return path ? `${path}.${key}` : String(key)
+}
+
+function checkFields (data, definition, path, errors, partial) {
+  let result = {}
+  for (let name in data) {
+    if (!(name in definition.fields) && !definition.allowUnknown &&
+        !(path === '' && name === 'id')) {
+      errors.push({ path: join(path, name), message: 'is not in the schema' })
+    }
+    result[name] = data[name]
+  }
+  for (let name in definition.fields) {
+    let field = definition.fields[name]
+    if (partial && !(name in data)) continue
+    let value = data[name]
+    if (value === undefined && !partial && 'default' in field) {
+      value = copy(field.default)
+    }
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push({ path: join(path, name), message: 'is required' })
+      }
+      continue
+    }
+    result[name] = check(value, field, join(path, name), errors)
+  }
+  return result
+}
+
+/**
+ * Check an entry against the schema of its table.
+ * Returns a copy of the entry with defaults filled in and values
+ * coerced into their types, throws a ValidationError listing every
+ * failing path otherwise.
+ *
+ * tableName - Name of the table, for the error message
+ * schema - Schema as returned by normalize
+ * data - Entry to check
+ * partial - Only check the fields that are in data (for updates)
+ */
+function validate (tableName, schema, data, partial = false) {
+  let errors = []
+  let result = checkFields(data, schema, '', errors, partial)
+  if (errors.length !== 0) {
+    throw new ValidationError(tableName, errors)
+  }
+  return result
+}
+
+module.exports = {
+  normalize,
+  validate
+}
@@ -0,0 +1,241 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const mkdir = require('mkdir-p')
+
+/**
+ * Storage adapters, which is where the files of a database go.
+ *
+ * The database only ever talks to its storage through the methods
+ * below, passing paths relative to the database like
+ * tables/users/index. To store data somewhere else, pass an object
+ * with these methods as the storage option:
+ *
+ *   exists(file)             Whether the file exists
+ *   size(file)               Size in bytes, -1 if it doesn't exist
+ *   open(file)               Handle to read from the file. Like a file
+ *                            descriptor, it keeps on reading from the
+ *                            same file even if another one is moved to
+ *                            its path in the meantime.
+ *   read(handle, pos, len)   Buffer with len bytes starting at pos
+ *   close(handle)            Done reading
+ *   readFile(file)           Buffer with the whole file
+ *   append(file, chunks)     Append an array of strings and Buffers,
+ *                            creating the file if it doesn't exist
+ *   writeFile(file, content) Replace the file with the given content
+ *   rename(from, to)         Move a file to another path, replacing
+ *                            what is there. This has to be atomic.
+ *   remove(file)             Delete a file if it exists
+ *   truncate(file, size)     Cut the file off after size bytes
+ *   list(dir)                Names of everything in the directory,
+ *                            [] if it doesn't exist
+ *   renameDir(from, to)      Move a directory with everything in it,
+ *                            to must not exist. This has to be atomic.
+ *   removeDir(dir)           Delete a directory with everything in it
+ *                            if it exists
+ *
+ * Everything is synchronous and has to be durable once it returns.
+ */
+
+/**
+ * Stores everything in a directory, this is the default
+ */
+class FileStorage {
+
+  /**
+   * dir - Directory to put the database into
+   */
+  constructor (dir) {
+    this.dir = dir
+  }
+
+  resolve (file) {
+    return path.join(this.dir, file)
+  }
+
+  exists (file) {
+    return fs.existsSync(this.resolve(file))
+  }
+
+  size (file) {
+    return this.exists(file) ? fs.statSync(this.resolve(file)).size : -1
+  }
+
+  open (file) {
+    return fs.openSync(this.resolve(file), 'r')
+  }
+
+  read (handle, pos, len) {
+    let buf = Buffer.alloc(len)
+    let bytesRead = fs.readSync(handle, buf, 0, len, pos)
+    return bytesRead === len ? buf : buf.slice(0, bytesRead)
+  }
+
+  close (handle) {
+    fs.closeSync(handle)
+  }
+
+  readFile (file) {
+    return fs.readFileSync(this.resolve(file))
+  }
+
+  append (file, chunks) {
+    this.write(file, chunks, 'a')
+  }
+
+  writeFile (file, content) {
+    this.write(file, [content], 'w')
+  }
+
+  write (file, chunks, mode) {
+    mkdir.sync(path.dirname(this.resolve(file)))
+    let fd = fs.openSync(this.resolve(file), mode)
+    try {
+      for (let chunk of chunks) {
+        fs.writeSync(fd, chunk)
+      }
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  rename (from, to) {
+    fs.renameSync(this.resolve(from), this.resolve(to))
+  }
+
+  remove (file) {
+    if (this.exists(file)) {
+      fs.unlinkSync(this.resolve(file))
+    }
+  }
+
+  truncate (file, size) {
+    fs.truncateSync(this.resolve(file), size)
+  }
+
+  list (dir) {
+    return this.exists(dir) ? fs.readdirSync(this.resolve(dir)) : []
+  }
+
+  renameDir (from, to) {
+    mkdir.sync(path.dirname(this.resolve(to)))
+    fs.renameSync(this.resolve(from), this.resolve(to))
+  }
+
+  removeDir (dir) {
+    fs.rmSync(this.resolve(dir), { recursive: true, force: true })
+  }
+
+}
+
+/**
+ * Keeps everything in memory, nothing is ever written to disk.
+ * Useful for tests and data that doesn't have to survive a restart.
+ * Pass the same instance to several databases to share the data,
+ * e. g. to simulate reopening a database.
+ */
+class MemoryStorage {
+
+  constructor () {
+    // Path as key and { data } as value, the object being what
+    // handles refer to (like an inode)
+    this.files = new Map()
+  }
+
+  file (file) {
+    let entry = this.files.get(path.posix.normalize(file))
+    if (!entry) {
+      let err = Error(`ENOENT: no such file, ${file}`)
+      err.code = 'ENOENT'
+      throw err
+    }
+    return entry
+  }
+
+  exists (file) {
+    return this.files.has(path.posix.normalize(file))
+  }
+
+  size (file) {
+    return this.exists(file) ? this.file(file).data.length : -1
+  }
+
+  open (file) {
+    return this.file(file)
+  }
+
+  read (handle, pos, len) {
+    return Buffer.from(handle.data.slice(pos, pos + len))
+  }
+
+  close (handle) {
+  }
+
+  readFile (file) {
+    return Buffer.from(this.file(file).data)
+  }
+
+  append (file, chunks) {
+    if (!this.exists(file)) {
+      this.files.set(path.posix.normalize(file), { data: Buffer.alloc(0) })
+    }
+    let entry = this.file(file)
+    entry.data = Buffer.concat([entry.data].concat(
+      chunks.map(chunk => Buffer.from(chunk))))
+  }
+
+  writeFile (file, content) {
+    this.files.set(path.posix.normalize(file), { data: Buffer.from(content) })
+  }
+
+  rename (from, to) {
+    let entry = this.file(from)
+    this.files.delete(path.posix.normalize(from))
+    this.files.set(path.posix.normalize(to), entry)
+  }
+
+  remove (file) {
+    this.files.delete(path.posix.normalize(file))
+  }
+
+  truncate (file, size) {
+    let entry = this.file(file)
+    entry.data = entry.data.slice(0, size)
+  }
+
+  list (dir) {
+    let prefix = path.posix.normalize(dir) + '/'
+    let names = new Set()
+    for (let file of this.files.keys()) {
+      if (file.startsWith(prefix)) {
+        names.add(file.slice(prefix.length).split('/')[0])
+      }
+    }
+    return Array.from(names)
+  }
+
+  renameDir (from, to) {
+    let prefix = path.posix.normalize(from) + '/'
+    for (let [file, entry] of Array.from(this.files)) {
+      if (file.startsWith(prefix)) {
+        this.files.delete(file)
+        this.files.set(path.posix.join(to, file.slice(prefix.length)), entry)
+      }
+    }
+  }
+
+  removeDir (dir) {
+    let prefix = path.posix.normalize(dir) + '/'
+    for (let file of Array.from(this.files.keys())) {
+      if (file.startsWith(prefix)) this.files.delete(file)
+    }
+  }
+
+}
+
+module.exports = {
+  FileStorage,
+  MemoryStorage
+}
@@ -0,0 +1,150 @@
+'use strict'
+
+/**
+ * Copy the parts of a table that operations change,
+ * so that they can be put back if the transaction fails.
+ * Pending entries are changed in place by update, which is why
+ * a copy of every single one of them is kept as well.
+ */
+function snapshot (table) {
+  let copyEntries = entries => entries.map(item => ({
+    item,
+    copy: Object.assign({}, item)
+  }))
+  return {
+    inserts: copyEntries(table.inserts),
+    updates: copyEntries(table.updates),
+    removals: table.removals.slice(),
+    truncate: table.truncate,
+    lastId: table.lastId,
+    pendingVersions: table.pendingVersions.length,
+    expiry: new Map(table.expiry)
+  }
+}
+
+function restore (db, tableName, table, saved) {
+  let restoreEntries = entries => entries.map(({ item, copy }) => {
+    for (let key in item) {
+      if (!(key in copy)) delete item[key]
+    }
+    return Object.assign(item, copy)
+  })
+  table.inserts = restoreEntries(saved.inserts)
+  table.updates = restoreEntries(saved.updates)
+  table.removals = saved.removals
+  table.truncate = saved.truncate
+  table.lastId = saved.lastId
+  table.pendingVersions.length = saved.pendingVersions
+  table.expiry = saved.expiry
+  table.nextExpiry = null
+  // Entries could have been cached in between, start over
+  db.cache.clearTable(tableName)
+  for (let field in table.fieldIndexes) {
+    table.fieldIndexes[field].undo()
+  }
+}
+
+/**
+ * What the callback passed to Database.transaction gets.
+ * Operations are applied right away so that they can be read back
+ * and IDs are known, but every table is copied before it is touched
+ * for the first time so that everything can be rolled back.
+ * Since transactions are synchronous, nothing else (like saving data)
+ * can happen while a transaction is in progress.
+ */
+module.exports = class Transaction {
+
+  constructor (db) {
+    this.db = db
+    // Table name as key and the snapshot taken before it was touched
+    // (or null if the table did not exist) as value
+    this.snapshots = new Map()
+    this.writes = db.writes
+    this.done = false
+  }
+
+  /**
+   * Take a snapshot of the given table if that has not happened yet
+   */
+  touch (tableName) {
+    if (this.done) {
+      throw Error('This transaction is already over')
+    }
+    if (this.snapshots.has(tableName)) return
+    let table = this.db.tables[tableName]
+    if (!table) {
+      this.snapshots.set(tableName, null)
+      return
+    }
+    this.snapshots.set(tableName, snapshot(table))
+    for (let field in table.fieldIndexes) {
+      table.fieldIndexes[field].changes = []
+    }
+  }
+
+  insert (tableName, data, options) {
+    this.touch(tableName)
+    return this.db.insert(tableName, data, options)
+  }
+
+  update (tableName, ...args) {
+    this.touch(tableName)
+    return this.db.update(tableName, ...args)
+  }
+
+  put (tableName, id, data) {
+    this.touch(tableName)
+    return this.db.put(tableName, id, data)
+  }
+
+  remove (tableName, id) {
+    this.touch(tableName)
+    return this.db.remove(tableName, id)
+  }
+
+  truncate (tableName, start) {
+    this.touch(tableName)
+    return this.db.truncate(tableName, start)
+  }
+
+  get (tableName, id) {
+    return this.db.get(tableName, id)
+  }
+
+  find (tableName, query) {
+    return this.db.find(tableName, query)
+  }
+
+  findOne (tableName, query) {
+    return this.db.findOne(tableName, query)
+  }
+
+  /**
+   * Keep all changes
+   */
+  commit () {
+    this.done = true
+    for (let tableName of this.snapshots.keys()) {
+      let table = this.db.tables[tableName]
+      for (let field in table.fieldIndexes) {
+        table.fieldIndexes[field].changes = null
+      }
+    }
+  }
+
+  /**
+   * Undo all changes, including the creation of tables
+   */
+  rollback () {
+    this.done = true
+    for (let [tableName, saved] of this.snapshots) {
+      if (saved === null) {
+        delete this.db.tables[tableName]
+      } else {
+        restore(this.db, tableName, this.db.tables[tableName], saved)
+      }
+    }
+    this.db.writes = this.writes
+  }
+
+}
@@ -0,0 +1,343 @@
+'use strict'
+
+const fs = require('fs')
+const readline = require('readline')
+const { isPlainObject } = require('./query.js')
+const types = require('./types.js')
+
+/**
+ * Reading and writing tables as NDJSON (one JSON object per line),
+ * a JSON array or CSV. Everything is streamed, one entry at a time.
+ * JSON is typed JSON (see types.js), so that Dates, BigInts, Maps and
+ * so on are read back as what they have been.
+ *
+ * CSV columns are the keys of the entries, nested objects are
+ * flattened into dot-paths like address.city. Strings are written
+ * as they are, everything else (and strings that would be read back
+ * as something else) as JSON. Empty cells are missing fields.
+ * Keys that contain dots themselves come back as nested objects.
+ */
+
+const FORMATS = ['ndjson', 'json', 'csv']
+
+/**
+ * Format to use for the given file if none has been given
+ */
+function formatOf (file, format) {
+  if (format) {
+    if (!FORMATS.includes(format)) {
+      throw Error(`Unknown format ${format}, use one of ${FORMATS.join(', ')}`)
+    }
+    return format
+  }
+  if (typeof file === 'string') {
+    if (file.endsWith('.csv')) return 'csv'
+    if (file.endsWith('.json')) return 'json'
+  }
+  return 'ndjson'
+}
+
+/**
+ * Flatten nested plain objects into dot-paths,
+ * { a: { b: 1 } } becomes { 'a.b': 1 }
+ */
+function flatten (item, prefix = '', flat = {}) {
+  for (let key in item) {
+    let value = item[key]
+    if (isPlainObject(value) && Object.keys(value).length !== 0) {
+      flatten(value, `${prefix}${key}.`, flat)
+    } else if (value !== undefined) {
+      flat[`${prefix}${key}`] = value
+    }
+  }
+  return flat
+}
+
+function unflatten (flat) {
+  let item = {}
+  for (let key in flat) {
+    let parts = key.split('.')
+    let current = item
+    for (let part of parts.slice(0, -1)) {
+      if (!isPlainObject(current[part])) current[part] = {}
+      current = current[part]
+    }
+    current[parts[parts.length - 1]] = flat[key]
+  }
+  return item
+}
+
+function isJSON (text) {
+  try {
+    JSON.parse(text)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Text as a CSV cell, quoted if necessary
+ */
+function quote (text) {
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+function csvCell (value) {
+  return quote(typeof value === 'string' && value !== '' && !isJSON(value)
+    ? value : types.stringify(value))
+}
+
+function parseCsvCell (text) {
+  try {
+    return types.parse(text)
+  } catch (err) {
+    return text
+  }
+}
+
+/**
+ * Write text to the stream, waiting for it to drain if necessary.
+ * failed is a promise that is rejected once the stream fails.
+ */
+function write (stream, text, failed) {
+  if (stream.write(text)) return null
+  return Promise.race([
+    new Promise(resolve => stream.once('drain', resolve)),
+    failed
+  ])
+}
+
+/**
+ * Write all entries to a file or stream.
+ * Resolves with the number of entries written.
+ *
+ * entries - Function returning an iterator over all entries.
+ *           CSV needs to go through the entries twice, once to find
+ *           out all columns and once to write them.
+ * file - Path of the file or a writable stream
+ * format - ndjson, json or csv, derived from the file name if missing
+ */
+async function exportEntries (entries, file, { format } = {}) {
+  format = formatOf(file, format)
+  let output = typeof file === 'string' ? fs.createWriteStream(file) : file
+  // Without a listener, errors of the stream would crash the process
+  let onError
+  let failed = new Promise((resolve, reject) => { onError = reject })
+  failed.catch(() => {})
+  output.on('error', onError)
+  try {
+    let count = await writeEntries(entries, output, format, failed)
+    if (typeof file === 'string') {
+      await Promise.race([failed, new Promise((resolve, reject) => {
+        output.end(err => err ? reject(err) : resolve())
+      })])
+    }
+    return count
+  } catch (err) {
+    if (typeof file === 'string') output.destroy()
+    throw err
+  } finally {
+    if (typeof file !== 'string') output.removeListener('error', onError)
+  }
+}
+
+async function writeEntries (entries, output, format, failed) {
+  let count = 0
+  let columns = null
+  if (format === 'csv') {
+    let keys = new Set()
+    for (let item of entries()) {
+      Object.keys(flatten(item)).forEach(key => keys.add(key))
+    }
+    columns = Array.from(keys)
+    await write(output, columns.map(quote).join(',') + '\n', failed)
+  } else if (format === 'json') {
+    await write(output, '[', failed)
+  }
+  for (let item of entries()) {
+    let text
+    if (format === 'ndjson') {
+      text = types.stringify(item) + '\n'
+    } else if (format === 'json') {
+      text = (count === 0 ? '\n' : ',\n') + types.stringify(item)
+    } else {
+      let flat = flatten(item)
+      text = columns.map(column => column in flat
+        ? csvCell(flat[column]) : '').join(',') + '\n'
+    }
+    count++
+    await write(output, text, failed)
+  }
+  if (format === 'json') {
+    await write(output, '\n]\n', failed)
+  }
+  return count
+}
+
+async function * readNdjson (input) {
+  let lines = readline.createInterface({ input, crlfDelay: Infinity })
+  for await (let line of lines) {
+    if (line.trim() !== '') yield types.parse(line)
+  }
+}
+
+/**
+ * Read the elements of a JSON array one by one
+ * without having to parse the whole array at once
+ */
+async function * readJsonArray (input) {
+  let started = false
+  let ended = false
+  let depth = 0
+  let inString = false
+  let escaped = false
+  let buffer = ''
+  for await (let chunk of input) {
+    for (let char of chunk) {
+      if (!started || ended) {
+        if (char === '[' && !started) {
+          started = true
+        } else if (!/\s/.test(char)) {
+          throw Error('Expected a single JSON array')
+        }
+        continue
+      }
+      if (inString) {
+        buffer += char
+        if (escaped) {
+          escaped = false
+        } else if (char === '\\') {
+          escaped = true
+        } else if (char === '"') {
+          inString = false
+        }
+        continue
+      }
+      if (char === '"') {
+        inString = true
+      } else if (char === '{' || char === '[') {
+        depth++
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          if (buffer.trim() !== '') yield types.parse(buffer)
+          buffer = ''
+          ended = true
+          continue
+        }
+        depth--
+      } else if (char === ',' && depth === 0) {
+        yield types.parse(buffer)
+        buffer = ''
+        continue
+      }
+      buffer += char
+    }
+  }
+  if (!ended) {
+    throw Error('Unexpected end of JSON array')
+  }
+}
+
+/**
+ * Read CSV rows as arrays of cells (RFC 4180)
+ */
+async function * readCsvRows (input) {
+  let row = []
+  let cell = ''
+  let quoted = false
+  // Saw a quote inside a quoted cell, could be an escaped quote
+  // or the end of the cell, which the next character decides
+  let quote = false
+  let dirty = false
+  for await (let chunk of input) {
+    for (let char of chunk) {
+      if (quote) {
+        quote = false
+        if (char === '"') {
+          cell += '"'
+          continue
+        }
+        quoted = false
+      } else if (quoted) {
+        if (char === '"') {
+          quote = true
+        } else {
+          cell += char
+        }
+        continue
+      }
+      if (char === '"' && cell === '') {
+        quoted = true
+        dirty = true
+      } else if (char === ',') {
+        row.push(cell)
+        cell = ''
+        dirty = true
+      } else if (char === '\n') {
+        row.push(cell)
+        yield row
+        row = []
+        cell = ''
+        dirty = false
+      } else if (char !== '\r') {
+        cell += char
+        dirty = true
+      }
+    }
+  }
+  if (dirty) {
+    row.push(cell)
+    yield row
+  }
+}
+
+async function * readCsv (input) {
+  let columns = null
+  for await (let row of readCsvRows(input)) {
+    if (columns === null) {
+      columns = row
+      continue
+    }
+    let flat = {}
+    columns.forEach((column, ix) => {
+      if (row[ix] !== undefined && row[ix] !== '') {
+        flat[column] = parseCsvCell(row[ix])
+      }
+    })
+    yield unflatten(flat)
+  }
+}
+
+/**
+ * Read entries from a file or stream one by one
+ *
+ * file - Path of the file or a readable stream
+ * format - ndjson, json or csv, derived from the file name if missing
+ */
+function readEntries (file, { format } = {}) {
+  format = formatOf(file, format)
+  let input = typeof file === 'string'
+    ? fs.createReadStream(file, { encoding: 'utf8' }) : file
+  if (typeof file !== 'string' && input.setEncoding) {
+    input.setEncoding('utf8')
+  }
+  switch (format) {
+    case 'ndjson':
+      return readNdjson(input)
+    case 'json':
+      return readJsonArray(input)
+    case 'csv':
+      return readCsv(input)
+  }
+}
+
+module.exports = {
+  exportEntries,
+  readEntries,
+  flatten,
+  unflatten
+}
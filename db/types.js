@@ -0,0 +1,131 @@
+'use strict'
+
+/**
+ * Typed JSON, which is what entries are written as (see record.js)
+ * and what goes into the journal.
+ *
+ * Plain JSON turns Dates into strings and has no way to write BigInts,
+ * Buffers, Maps, Sets or undefined, so an entry would look different
+ * once it has been saved and read back. Such values are written as
+ * tagged objects instead, e. g.
+ *
+ *   { "$ezpz": "Date", "v": "2018-03-20T00:00:00.000Z" }
+ *
+ * Date - ISO string, null for invalid dates
+ * Buffer - Base64
+ * BigInt - Decimal digits
+ * Map - Array of [key, value] pairs
+ * Set - Array of the values
+ * undefined - No v at all
+ *
+ * Objects that have a $ezpz key of their own are wrapped as
+ * { "$ezpz": "Object", "v": {...} }. Everything else is written the way
+ * JSON.stringify would write it, so plain JSON written by older versions
+ * reads the same (see Database.migrate for values that have been turned
+ * into strings back then).
+ */
+
+const TAG = '$ezpz'
+
+// Only parsed values with this in them have to be gone through
+const TAG_JSON = JSON.stringify(TAG)
+
+// Assignment would change the prototype for __proto__
+function set (obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value, writable: true, enumerable: true, configurable: true
+  })
+}
+
+/**
+ * The given value with everything plain JSON can't hold replaced
+ * by tagged objects
+ */
+function encode (value) {
+  if (value === undefined) return { [TAG]: 'undefined' }
+  if (typeof value === 'bigint') {
+    return { [TAG]: 'BigInt', v: value.toString() }
+  }
+  if (value === null || typeof value !== 'object') return value
+  if (value instanceof Date) {
+    return { [TAG]: 'Date',
+             v: isNaN(value.getTime()) ? null : value.toISOString() }
+  }
+  if (Buffer.isBuffer(value)) {
+    return { [TAG]: 'Buffer', v: value.toString('base64') }
+  }
+  if (value instanceof Map) {
+    return { [TAG]: 'Map',
+             v: Array.from(value, pair => pair.map(encode)) }
+  }
+  if (value instanceof Set) {
+    return { [TAG]: 'Set', v: Array.from(value, encode) }
+  }
+  if (Array.isArray(value)) return value.map(encode)
+  if (typeof value.toJSON === 'function') return encode(value.toJSON())
+  let encoded = {}
+  for (let key of Object.keys(value)) {
+    // Left out by JSON.stringify as well
+    if (typeof value[key] === 'function' ||
+        typeof value[key] === 'symbol') continue
+    set(encoded, key, encode(value[key]))
+  }
+  return TAG in value ? { [TAG]: 'Object', v: encoded } : encoded
+}
+
+/**
+ * Reverse of encode
+ */
+function decode (value) {
+  if (value === null || typeof value !== 'object') return value
+  if (Array.isArray(value)) return value.map(decode)
+  if (typeof value[TAG] === 'string') {
+    let v = value.v
+    switch (value[TAG]) {
+      case 'undefined':
+        return undefined
+      case 'BigInt':
+        return BigInt(v)
+      case 'Date':
+        return new Date(v === null ? NaN : v)
+      case 'Buffer':
+        return Buffer.from(v, 'base64')
+      case 'Map':
+        return new Map(v.map(pair => pair.map(decode)))
+      case 'Set':
+        return new Set(v.map(decode))
+      case 'Object':
+        value = v
+        break
+      default:
+        throw Error(`Unknown type ${value[TAG]}, written by a newer version?`)
+    }
+  }
+  let decoded = {}
+  for (let key of Object.keys(value)) {
+    set(decoded, key, decode(value[key]))
+  }
+  return decoded
+}
+
+/**
+ * Like JSON.stringify, but for typed JSON
+ */
+function stringify (value) {
+  return JSON.stringify(encode(value))
+}
+
+/**
+ * Like JSON.parse, but for typed JSON
+ */
+function parse (text) {
+  let value = JSON.parse(text)
+  return String(text).includes(TAG_JSON) ? decode(value) : value
+}
+
+module.exports = {
+  encode,
+  decode,
+  stringify,
+  parse
+}
@@ -0,0 +1,194 @@
+'use strict'
+
+const query = require('./query.js')
+const { isPlainObject } = query
+
+/**
+ * Changes for Database.update. They are either a plain object that is
+ * merged into the entry, nested objects included, or an object of
+ * operators like this one:
+ *
+ *   {
+ *     $set: { name: 'Nodey', 'address.city': 'Node Town' },
+ *     $unset: { nickname: true },
+ *     $inc: { visits: 1 },
+ *     $push: { tags: 'admin', log: { $each: ['a', 'b'] } },
+ *     $pull: { tags: 'guest', scores: { $lt: 10 } }
+ *   }
+ *
+ * Keys of operators are dot-paths like in queries, missing objects
+ * on the way are created. $pull removes every element of an array
+ * that is equal to the value or matches the condition.
+ */
+
+/**
+ * Deep copy of an entry, so that changes don't
+ * affect the entry the copy was made from
+ */
+function clone (value) {
+  if (Array.isArray(value)) return value.map(clone)
+  if (value instanceof Date) return new Date(value.getTime())
+  if (Buffer.isBuffer(value)) return Buffer.from(value)
+  if (value instanceof Map) {
+    return new Map(Array.from(value, ([key, item]) => [key, clone(item)]))
+  }
+  if (value instanceof Set) return new Set(Array.from(value, clone))
+  if (!isPlainObject(value)) return value
+  let copy = {}
+  for (let key in value) {
+    copy[key] = clone(value[key])
+  }
+  return copy
+}
+
+/**
+ * Merge changes into target, nested plain objects are merged as well.
+ * Undefined values are skipped.
+ */
+function merge (target, changes) {
+  for (let key in changes) {
+    let value = changes[key]
+    if (value === undefined) continue
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      merge(target[key], value)
+    } else {
+      target[key] = clone(value)
+    }
+  }
+  return target
+}
+
+function checkPath (path) {
+  if (path === 'id') {
+    throw Error('The ID of an entry can\'t be changed')
+  }
+}
+
+/**
+ * The object the last part of the given path is in and that part,
+ * like [obj.a.b, 'c'] for 'a.b.c'. Creates missing objects on the way
+ * if create is true, otherwise the object is undefined if missing.
+ */
+function parentOf (obj, path, create) {
+  let parts = String(path).split('.')
+  let last = parts.pop()
+  let current = obj
+  for (let part of parts) {
+    if (current[part] === undefined || current[part] === null) {
+      if (!create) return [undefined, last]
+      current[part] = {}
+    } else if (typeof current[part] !== 'object') {
+      throw Error(`Cannot change ${path}, ${part} is not an object`)
+    }
+    current = current[part]
+  }
+  return [current, last]
+}
+
+function arrayAt (obj, path, operator) {
+  let [parent, last] = parentOf(obj, path, true)
+  if (parent[last] === undefined || parent[last] === null) {
+    parent[last] = []
+  }
+  if (!Array.isArray(parent[last])) {
+    throw Error(`Cannot ${operator} ${path}, it is not an array`)
+  }
+  return parent[last]
+}
+
+const operators = {
+  $set (obj, path, value) {
+    let [parent, last] = parentOf(obj, path, true)
+    parent[last] = clone(value)
+  },
+  $unset (obj, path) {
+    let [parent, last] = parentOf(obj, path, false)
+    if (parent === undefined) return
+    if (Array.isArray(parent)) {
+      // Removing it would move the elements after it
+      if (last in parent) parent[last] = null
+    } else {
+      delete parent[last]
+    }
+  },
+  $inc (obj, path, amount) {
+    if (typeof amount !== 'number') {
+      throw Error(`$inc needs a number for ${path}`)
+    }
+    let [parent, last] = parentOf(obj, path, true)
+    let value = parent[last] === undefined ? 0 : parent[last]
+    if (typeof value !== 'number') {
+      throw Error(`Cannot $inc ${path}, it is not a number`)
+    }
+    parent[last] = value + amount
+  },
+  $push (obj, path, value) {
+    let values = isPlainObject(value) && Array.isArray(value.$each)
+      ? value.$each : [value]
+    arrayAt(obj, path, '$push').push(...values.map(clone))
+  },
+  $pull (obj, path, condition) {
+    let [parent, last] = parentOf(obj, path, false)
+    if (parent === undefined || parent[last] === undefined) return
+    let array = arrayAt(obj, path, '$pull')
+    parent[last] = array.filter(element =>
+      !query.matches({ element }, { element: condition }))
+  }
+}
+
+/**
+ * Whether the given changes are operators rather than
+ * an object to merge. Mixing both throws.
+ */
+function hasOperators (changes) {
+  let keys = Object.keys(changes)
+  let operatorKeys = keys.filter(key => key.startsWith('$'))
+  if (operatorKeys.length !== 0 && operatorKeys.length !== keys.length) {
+    throw Error('Updates can\'t mix operators and plain fields')
+  }
+  return operatorKeys.length !== 0
+}
+
+/**
+ * Apply changes to a copy of the given entry.
+ * Returns { result, fields }, fields being the top-level fields
+ * that have been changed (e. g. to check them against the schema).
+ */
+function apply (item, changes) {
+  if (!isPlainObject(changes)) {
+    throw Error('Changes have to be an object')
+  }
+  let result = clone(item)
+  let fields = new Set()
+  if (!hasOperators(changes)) {
+    if ('id' in changes && changes.id !== item.id &&
+        changes.id !== undefined) {
+      checkPath('id')
+    }
+    merge(result, changes)
+    for (let key in changes) {
+      if (changes[key] !== undefined && key !== 'id') fields.add(key)
+    }
+    return { result, fields: Array.from(fields) }
+  }
+  for (let op in changes) {
+    let operator = operators[op]
+    if (!operator) {
+      throw Error(`Unknown update operator ${op}`)
+    }
+    if (!isPlainObject(changes[op])) {
+      throw Error(`${op} needs an object like { field: value }`)
+    }
+    for (let path in changes[op]) {
+      checkPath(path)
+      operator(result, path, changes[op][path])
+      fields.add(path.split('.')[0])
+    }
+  }
+  return { result, fields: Array.from(fields) }
+}
+
+module.exports = {
+  apply,
+  clone
+}
@@ -1,9 +1,15 @@
 'use strict'
 
 const Database = require('./db/db.js')
+const errors = require('./db/errors.js')
+const { FileStorage, MemoryStorage } = require('./db/storage.js')
 
 module.exports = {
-  db (path) {
-    return new Database(path)
-  }
+  Database,
+  FileStorage,
+  MemoryStorage,
+  db (path, options) {
+    return new Database(path, options)
+  },
+  ...errors
 }
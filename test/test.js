@@ -1,8 +1,1430 @@
 'use strict'
 
 const assert = require('assert')
+const fs = require('fs')
 const ezpzdb = require('../.')
 
+// Databases opened with open() don't register signal handlers
+// and are closed once all tests are done. They aren't locked either,
+// so that a database can be opened again to simulate a crash.
+const opened = []
+function open (path, options = {}) {
+  let db = ezpzdb.db(path,
+    Object.assign({ handleSignals: false, lock: false }, options))
+  opened.push(db)
+  return db
+}
+after(() => Promise.all(opened.map(db => db.close())))
+
+describe('query', () => {
+  var db
+  before(() => {
+    db = open('query', { storage: 'memory' })
+    db.insert('people', {
+      name: 'Nodey', age: 25, city: 'Node Town',
+      address: { street: '9 Node St' }, tags: ['admin', 'dev']
+    })
+    db.insert('people', {
+      name: 'Denoy', age: 42, city: 'Deno City',
+      address: { street: '1 Rust Rd' }, tags: ['dev']
+    })
+    db.insert('people', { name: 'Bunny', age: 35, city: 'Node Town' })
+  })
+  it('finding with a predicate function', () => {
+    let found = db.find('people', item => item.age > 30)
+    assert.deepEqual(found.map(item => item.id), [2, 3])
+  })
+  it('finding with comparison operators', () => {
+    let found = db.find('people', { age: { $gt: 30 }, city: 'Node Town' })
+    assert.deepEqual(found.map(item => item.id), [3])
+    assert.equal(db.find('people', { age: { $gte: 25, $lt: 42 } }).length, 2)
+    assert.equal(db.find('people', { city: { $ne: 'Node Town' } }).length, 1)
+  })
+  it('finding with $in, $regex and $exists', () => {
+    assert.equal(db.find('people', { name: { $in: ['Nodey', 'Bunny'] } })
+      .length, 2)
+    assert.equal(db.find('people', { name: { $regex: '^no', $options: 'i' } })
+      .length, 1)
+    assert.equal(db.find('people', { name: /y$/ }).length, 3)
+    assert.equal(db.find('people', { tags: { $exists: false } }).length, 1)
+  })
+  it('finding with nested paths, arrays and $or', () => {
+    assert.equal(db.findOne('people', { 'address.street': '1 Rust Rd' }).id, 2)
+    assert.equal(db.find('people', { tags: 'admin' }).length, 1)
+    assert.equal(db.find('people', { 'tags.0': 'dev' }).length, 1)
+    let found = db.find('people', {
+      $or: [{ age: { $lt: 30 } }, { city: 'Deno City' }]
+    })
+    assert.deepEqual(found.map(item => item.id), [1, 2])
+  })
+  it('finding respects unsaved updates and removals', () => {
+    db.update('people', { id: 3, name: 'Bunny', age: 20, city: 'Node Town' })
+    db.remove('people', 1)
+    assert.equal(db.findOne('people', { age: { $lt: 30 } }).id, 3)
+    assert.equal(db.findOne('people', { name: 'Nodey' }), null)
+  })
+  it('rejecting unknown operators', () => {
+    assert.throws(() => db.find('people', { age: { $near: 3 } }))
+  })
+  it('iterating with sorting and cursors', async () => {
+    let collect = async (options) => {
+      let ids = []
+      for await (let item of db.iterate('people', options)) ids.push(item.id)
+      return ids
+    }
+    db.insert('people', { name: 'Deny', age: 35 })
+    db.insert('people', { name: 'Noddy', age: 20 })
+    assert.deepEqual(await collect(), [2, 3, 4, 5])
+    assert.deepEqual(await collect({ where: { age: { $lt: 40 } }, limit: 2 }),
+      [3, 4])
+    assert.deepEqual(await collect({ sort: { age: 1 } }), [3, 5, 4, 2])
+    let page = await collect({ sort: { age: -1, name: 1 }, limit: 2 })
+    assert.deepEqual(page, [2, 4])
+    db.remove('people', 4)
+    assert.deepEqual(await collect({
+      sort: { age: -1, name: 1 }, after: db.get('people', 2)
+    }), [3, 5])
+    assert.deepEqual(await collect({ after: 2, offset: 1 }), [5])
+    await assert.rejects(collect({ sort: { age: 1 }, after: 4 }),
+      /not in people/)
+    assert.deepEqual(db.getAll('people').map(item => item.age), [42, 20, 20])
+  })
+})
+
+describe('aggregation', () => {
+  var db
+  before(() => {
+    db = open('aggregation', { storage: 'memory' })
+    db.createIndex('orders', 'status')
+    db.insert('orders', { customer: 'Nodey', status: 'paid', amount: 10 })
+    db.insert('orders', { customer: 'Denoy', status: 'paid', amount: 25 })
+    db.insert('orders', { customer: 'Nodey', status: 'open', amount: 5 })
+    db.insert('orders', { customer: 'Nodey', amount: 'unknown' })
+  })
+  it('counting entries', async () => {
+    assert.equal(db.count('orders'), 4)
+    assert.equal(db.count('orders', { status: 'paid' }), 2)
+    assert.equal(db.count('orders', { amount: { $gte: 10 } }), 2)
+    await db.flush()
+    db.remove('orders', 2)
+    assert.equal(db.count('orders'), 3)
+    assert.equal(db.count('orders', { status: 'paid' }), 1)
+    db.insert('orders', { customer: 'Denoy', status: 'paid', amount: 25 })
+  })
+  it('getting distinct values', () => {
+    assert.deepEqual(db.distinct('orders', 'status'), ['open', 'paid'])
+    assert.deepEqual(db.distinct('orders', 'customer'), ['Denoy', 'Nodey'])
+    assert.deepEqual(db.distinct('orders', 'customer', { amount: 5 }),
+      ['Nodey'])
+  })
+  it('computing metrics per group', () => {
+    assert.deepEqual(db.aggregate('orders', {
+      where: { status: 'paid' },
+      metrics: { total: { $sum: 'amount' }, avg: { $avg: 'amount' } }
+    }), { total: 35, avg: 17.5 })
+    assert.deepEqual(db.aggregate('orders', {
+      groupBy: 'customer',
+      metrics: {
+        orders: { $count: true },
+        total: { $sum: 'amount' },
+        biggest: { $max: 'amount' }
+      }
+    }), [
+      { customer: 'Denoy', orders: 1, total: 25, biggest: 25 },
+      { customer: 'Nodey', orders: 3, total: 15, biggest: 'unknown' }
+    ])
+    assert.deepEqual(db.aggregate('orders', {
+      groupBy: 'status', metrics: { orders: { $count: true } }
+    }), [
+      { status: null, orders: 1 },
+      { status: 'open', orders: 1 },
+      { status: 'paid', orders: 2 }
+    ])
+    assert.throws(() => db.aggregate('orders', {
+      metrics: { median: { $median: 'amount' } }
+    }), /Unknown aggregation operator/)
+  })
+})
+
+describe('updates', () => {
+  const dbpath = 'testdb/updates'
+  it('merging changes into saved entries', async () => {
+    let db = open(dbpath, { journal: true })
+    db.insert('users', {
+      name: 'Nodey', address: { street: '9 Node St', city: 'Node Town' }
+    })
+    await db.flush()
+    db.update('users', { id: 1, address: { city: 'Deno City' } })
+    assert.deepEqual(db.get('users', 1), {
+      id: 1, name: 'Nodey', address: { street: '9 Node St', city: 'Deno City' }
+    })
+    await db.flush()
+    db.update('users', 1, { age: 25 })
+    assert.equal(open(dbpath).get('users', 1).name, 'Nodey')
+    assert.equal(db.update('users', 42, { age: 3 }), false)
+  })
+  it('changing fields with operators', () => {
+    let db = open(dbpath, { journal: true })
+    assert.equal(db.get('users', 1).age, 25)
+    db.update('users', 1, {
+      $set: { 'address.zip': '12345', tags: ['a', 'b', 'c'] },
+      $unset: { name: true },
+      $inc: { age: 1, visits: 2 }
+    })
+    db.update('users', 1, {
+      $push: { tags: { $each: ['d', 'e'] } },
+      $pull: { tags: { $in: ['a', 'c'] } }
+    })
+    let user = db.get('users', 1)
+    assert.equal(user.name, undefined)
+    assert.equal(user.address.zip, '12345')
+    assert.equal(user.age, 26)
+    assert.equal(user.visits, 2)
+    assert.deepEqual(user.tags, ['b', 'd', 'e'])
+    assert.throws(() => db.update('users', 1, { $inc: { tags: 1 } }),
+      /not a number/)
+    assert.throws(() => db.update('users', 1, { $set: { id: 2 } }), /ID/)
+    assert.throws(() => db.update('users', 1, { $rename: { a: 'b' } }),
+      /Unknown update operator/)
+    assert.deepEqual(open(dbpath, { journal: true }).get('users', 1), user)
+  })
+  it('inserting entries that don\'t exist with upsert', () => {
+    let db = open('upsert', { storage: 'memory' })
+    assert(db.update('counters', 7, { $inc: { count: 1 } }, { upsert: true }))
+    db.update('counters', 7, { $inc: { count: 1 } }, { upsert: true })
+    assert.deepEqual(db.get('counters', 7), { id: 7, count: 2 })
+    assert.equal(db.tables.counters.lastId, 7)
+  })
+})
+
+describe('keys', () => {
+  const dbpath = 'testdb/keys'
+  it('generating UUIDs and ULIDs', () => {
+    let db = open('keys', { storage: 'memory' })
+    db.createTable('sessions', { key: 'uuid' })
+    db.createTable('events', { key: 'ulid' })
+    let id = db.insert('sessions', { user: 1 })
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4/.test(id))
+    assert.equal(db.get('sessions', id).user, 1)
+    assert.equal(db.update('sessions', id, { user: 2 }), true)
+    let ids = [db.insert('events', {}), db.insert('events', {})]
+    assert(ids.every(ulid => /^[0-9A-HJKMNP-TV-Z]{26}$/.test(ulid)))
+    assert.equal(db.tables.events.lastId, 0)
+    assert.throws(() => db.createTable('events', { key: 'uuid' }),
+      /another key strategy/)
+    assert.throws(() => db.truncate('events', 1), /completely/)
+    db.truncate('events', 0)
+    assert.equal(db.count('events'), 0)
+  })
+  it('keeping ULIDs of the same millisecond in order', () => {
+    let db = open('keys-ulid', { storage: 'memory' })
+    db.createTable('events', { key: 'ulid' })
+    let ids = []
+    for (let ix = 0; ix < 1000; ix++) ids.push(db.insert('events', { ix }))
+    // Some of them share the time part
+    assert(new Set(ids.map(id => id.slice(0, 10))).size < ids.length)
+    assert.deepEqual(ids.slice().sort(), ids)
+    assert.deepEqual(db.getAll('events').map(event => event.ix),
+      Array.from(ids.keys()))
+  })
+  it('using a field as natural key', async () => {
+    let db = open(dbpath, { journal: true })
+    db.createTable('users', { key: { field: 'email' } })
+    db.insert('users', { email: 'nodey,"the first"@node.js', name: 'Nodey' })
+    db.insert('users', { email: 'denoy@deno.land', name: 'Denoy' })
+    assert.throws(() => db.insert('users', { email: 'denoy@deno.land' }),
+      ezpzdb.UniqueConstraintError)
+    assert.throws(() => db.insert('users', { name: 'Nobody' }), /email/)
+    assert.throws(() => db.update('users', 'denoy@deno.land',
+      { email: 'x@y.z' }), /can't be changed/)
+    await db.flush()
+    db.remove('users', 'denoy@deno.land')
+    db.update('users', 'nodey,"the first"@node.js', { age: 25 })
+    let reopened = open(dbpath, { journal: true })
+    assert.deepEqual(reopened.listTables(), ['users'])
+    let email = 'nodey,"the first"@node.js'
+    assert.deepEqual(reopened.get('users', email),
+      { email, name: 'Nodey', id: email, age: 25 })
+    assert.equal(reopened.get('users', 'denoy@deno.land'), null)
+    await reopened.flush()
+    await reopened.compact('users')
+    await reopened.repair('users')
+    assert.deepEqual(reopened.verify(), [])
+    assert.deepEqual(open(dbpath).getAll('users').map(user => user.name),
+      ['Nodey'])
+  })
+  it('inserting or replacing entries with put', () => {
+    let db = open('put', { storage: 'memory' })
+    assert.equal(db.put('things', 5, { name: 'five' }), 5)
+    db.put('things', 5, { size: 'big' })
+    assert.deepEqual(db.get('things', 5), { size: 'big', id: 5 })
+    assert.equal(db.insert('things', {}), 6)
+    assert.throws(() => db.put('things', 'five', {}), /Invalid ID/)
+    db.createTable('users', { key: { field: 'email' } })
+    db.put('users', 'nodey@node.js', { name: 'Nodey' })
+    assert.equal(db.get('users', 'nodey@node.js').email, 'nodey@node.js')
+  })
+})
+
+describe('history', () => {
+  const dbpath = 'testdb/history'
+  it('keeping versions of entries', async () => {
+    let db = open(dbpath, { journal: true })
+    db.insert('docs', { title: 'Draft' })
+    db.enableHistory('docs')
+    db.update('docs', 1, { title: 'Final' })
+    db.insert('docs', { title: 'Scratch' })
+    db.remove('docs', 2)
+    assert.throws(() => db.transaction(tx => {
+      tx.update('docs', 1, { title: 'Oops' })
+      throw Error('rolled back')
+    }), /rolled back/)
+    let versions = db.history('docs', 1)
+    assert.deepEqual(versions.map(version => version.revision), [1, 2])
+    assert.equal(versions[0].timestamp, null)
+    assert.deepEqual(versions.map(version => version.item.title),
+      ['Draft', 'Final'])
+    assert.deepEqual(db.history('docs', 2).map(version => version.item),
+      [{ title: 'Scratch', id: 2 }, null])
+    let { timestamp } = versions[1]
+    assert.equal(db.getAt('docs', 1, timestamp).title, 'Final')
+    assert.equal(db.getAt('docs', 1, new Date(timestamp - 1)).title,
+      'Draft')
+    assert.equal(db.getAt('docs', 2, timestamp - 1), null)
+    await db.flush()
+    assert.equal(db.revert('docs', 1, 1).title, 'Draft')
+    assert.equal(db.revert('docs', 2, 2), null)
+    assert.deepEqual(db.revert('docs', 2, 1), { title: 'Scratch', id: 2 })
+    assert.throws(() => db.revert('docs', 1, 7), /no revision 7/)
+    let reopened = open(dbpath, { journal: true })
+    assert.deepEqual(reopened.history('docs', 1), db.history('docs', 1))
+    let revisions = reopened.history('docs', 2)
+      .map(version => version.revision)
+    assert.deepEqual(revisions, [1, 2, 3])
+    assert.throws(() => reopened.history('other', 1), /non-existent/)
+    reopened.insert('other', {})
+    assert.throws(() => reopened.getAt('other', 1, 0), /enableHistory/)
+    reopened.disableHistory('docs')
+    await reopened.flush()
+    assert.throws(() => open(dbpath).history('docs', 1), /enableHistory/)
+  })
+  it('pruning the history when saving', async () => {
+    let db = open('history', { storage: 'memory' })
+    assert.throws(() => db.enableHistory('logs', { maxVersions: 0 }),
+      /positive integer/)
+    db.enableHistory('logs', { maxVersions: 2 })
+    db.insert('logs', { n: 0 })
+    for (let n = 1; n < 5; n++) {
+      db.update('logs', 1, { n })
+      await db.flush()
+    }
+    assert.deepEqual(db.history('logs', 1).map(version => version.item.n),
+      [3, 4])
+    // Rewritten once more than half of it had been pruned
+    assert(db.tables.logs.historyDeadSize <
+           db.tables.logs.historySize / 2)
+    db.enableHistory('logs', { maxAge: 60000 })
+    db.remove('logs', 1)
+    let now = Date.now
+    Date.now = () => now() + 120000
+    try {
+      assert.deepEqual(db.history('logs', 1), [])
+      await db.flush()
+    } finally {
+      Date.now = now
+    }
+    assert.equal(db.tables.logs.versions.size, 0)
+  })
+})
+
+describe('types', () => {
+  const dbpath = 'testdb/types'
+  it('keeping Dates, Buffers, BigInts, Maps and Sets', async () => {
+    let db = open(dbpath, { journal: true })
+    let entry = {
+      born: new Date('2018-03-20T12:00:00Z'),
+      avatar: Buffer.from([0, 1, 254, 255]),
+      balance: 2n ** 64n,
+      settings: new Map([['theme', 'dark'], [1, new Set(['a'])]]),
+      tags: new Set(['admin', 'user']),
+      nickname: undefined,
+      manager: null,
+      nested: { $ezpz: 'Date', v: 'not a date', list: [undefined, null] }
+    }
+    db.createIndex('users', 'born')
+    db.insert('users', entry)
+    db.insert('users', { born: new Date(0) })
+    let check = found => {
+      assert.deepEqual(found, Object.assign({ id: 1 }, entry))
+      assert(found.born instanceof Date)
+      assert(Buffer.isBuffer(found.avatar))
+      assert.equal(typeof found.balance, 'bigint')
+      assert(found.settings.get(1) instanceof Set)
+      assert('nickname' in found)
+      assert.strictEqual(found.nested.list[0], undefined)
+    }
+    await db.flush()
+    check(db.get('users', 1))
+    db.update('users', 1, { $set: { 'nested.list': [undefined, null] } })
+    // Replayed from the journal
+    check(open(dbpath, { journal: true }).get('users', 1))
+    check(db.findOne('users', { born: new Date('2018-03-20T12:00:00Z') }))
+    assert.deepEqual(db.find('users', { tags: new Set(['admin', 'user']) })
+      .map(user => user.id), [1])
+  })
+  it('migrating values that have been saved as strings', async () => {
+    let db = open(dbpath)
+    db.insert('events', { at: '2018-03-20T12:00:00.000Z' })
+    db.insert('events', { at: new Date(0) })
+    await db.flush()
+    let migrated = await db.migrate('events', event =>
+      Object.assign(event, { at: new Date(event.at) }))
+    assert.equal(migrated, 1)
+    let events = open(dbpath).getAll('events')
+    assert(events.every(event => event.at instanceof Date))
+    assert.equal(events[0].at.getTime(), Date.parse('2018-03-20T12:00Z'))
+  })
+})
+
+describe('expiry', () => {
+  const dbpath = 'testdb/expiry'
+  // Runs fn as if it was that many milliseconds later
+  let later = (ms, fn) => {
+    let now = Date.now
+    Date.now = () => now() + ms
+    try {
+      return fn()
+    } finally {
+      Date.now = now
+    }
+  }
+  it('leaving out and removing expired entries', () => {
+    let db = open('expiry', { storage: 'memory' })
+    db.setDefaultTTL('sessions', 60000)
+    db.createIndex('sessions', 'token', { unique: true })
+    db.insert('sessions', { token: 'a' })
+    db.insert('sessions', { token: 'b' }, { ttl: null })
+    db.insert('sessions', { token: 'c' }, { ttl: 1000 })
+    assert.throws(() => db.insert('sessions', {}, { ttl: -1 }), /ttl/)
+    let expired = []
+    db.on('expire', event => expired.push(event.oldValue.token))
+    later(5000, () => {
+      assert.equal(db.get('sessions', 3), null)
+      assert.equal(db.count('sessions'), 2)
+      assert.equal(db.count('sessions', { token: 'c' }), 0)
+      assert.deepEqual(db.distinct('sessions', 'token'), ['a', 'b'])
+      assert.deepEqual(expired, [])
+      // Expired entries don't count as duplicates
+      db.insert('sessions', { token: 'c' })
+      assert.deepEqual(expired, ['c'])
+    })
+    later(120000, () => {
+      assert.deepEqual(db.getAll('sessions').map(s => s.token), ['b'])
+      assert.equal(db.expire(), 2)
+      assert.deepEqual(expired, ['c', 'a', 'c'])
+      assert.equal(db.expire(), 0)
+    })
+  })
+  it('going on when an expire listener throws', () => {
+    let logged = []
+    let logger = { debug () {}, info () {}, warn () {},
+                   error: err => logged.push(err.message) }
+    let db = open('expiry-listener', { storage: 'memory', logger })
+    db.insert('sessions', { token: 'a' }, { ttl: 1000 })
+    db.insert('sessions', { token: 'b' }, { ttl: 1000 })
+    db.on('expire', event => { throw Error(event.oldValue.token) })
+    later(5000, () => {
+      assert.doesNotThrow(() => db.saveData())
+      assert.equal(db.expire(), 0)
+    })
+    assert.deepEqual(logged, ['a', 'b'])
+  })
+  it('saving when entries expire', async () => {
+    let db = open(dbpath, { journal: true })
+    db.insert('tokens', { value: 'x' }, { ttl: 60000 })
+    db.insert('tokens', { value: 'y' })
+    await db.flush()
+    db.update('tokens', 2, { used: true }, { ttl: 1000 })
+    db.update('tokens', 1, { used: true }, { ttl: null })
+    // Replayed from the journal
+    let reopened = open(dbpath, { journal: true })
+    later(5000, () => {
+      assert.deepEqual(reopened.getAll('tokens').map(token => token.id),
+        [1])
+    })
+    await reopened.flush()
+    later(5000, () => {
+      assert.deepEqual(open(dbpath).getAll('tokens').map(token => token.id),
+        [1])
+    })
+    assert.equal(open(dbpath).count('tokens'), 2)
+  })
+})
+
+describe('indexes', () => {
+  var db
+  const storage = new ezpzdb.MemoryStorage()
+  before(() => {
+    db = open('indexes', { storage })
+    db.createIndex('users', 'email', { unique: true })
+    db.createIndex('users', 'city')
+    db.insert('users', { email: 'nodey@node.js', city: 'Node Town' })
+    db.insert('users', { email: 'denoy@deno.land', city: 'Deno City' })
+  })
+  it('rejecting duplicates in unique indexes', () => {
+    assert.throws(() => db.insert('users', { email: 'nodey@node.js' }),
+      ezpzdb.UniqueConstraintError)
+    assert.throws(() => db.update('users', { id: 2, email: 'nodey@node.js' }),
+      ezpzdb.UniqueConstraintError)
+    assert.equal(db.insert('users', { email: 'bunny@bun.sh' }), 3)
+  })
+  it('looking up indexed fields without a full scan', () => {
+    let entries = db.entries
+    db.entries = () => { throw Error('full scan') }
+    try {
+      assert.equal(db.findOne('users', { email: 'denoy@deno.land' }).id, 2)
+      assert.deepEqual(db.find('users', {
+        city: { $in: ['Node Town', 'Deno City'] }
+      }).map(item => item.id), [1, 2])
+    } finally {
+      db.entries = entries
+    }
+  })
+  it('keeping indexes current on update, remove and truncate', () => {
+    db.update('users', { id: 1, email: 'nodey@nodejs.org' })
+    assert.equal(db.findOne('users', { email: 'nodey@node.js' }), null)
+    assert.equal(db.findOne('users', { email: 'nodey@nodejs.org' }).id, 1)
+    db.remove('users', 2)
+    assert.equal(db.find('users', { city: 'Deno City' }).length, 0)
+    assert.equal(db.insert('users', { email: 'denoy@deno.land' }), 4)
+    db.truncate('users', 3)
+    assert.equal(db.findOne('users', { email: 'denoy@deno.land' }), null)
+  })
+  it('persisting indexes', () => {
+    db.forceSave = true
+    db.saveData()
+    let reopened = open('indexes', { storage })
+    assert(reopened.tables.users.fieldIndexes.email.unique)
+    assert.equal(reopened.findOne('users', { email: 'bunny@bun.sh' }).id, 3)
+    assert.throws(() => reopened.insert('users', { email: 'bunny@bun.sh' }),
+      ezpzdb.UniqueConstraintError)
+  })
+})
+
+describe('journal', () => {
+  var db
+  before(() => {
+    db = open('testdb/journal', { journal: true })
+    db.createIndex('orders', 'ref', { unique: true })
+    db.insert('orders', { ref: 'a', amount: 3 })
+    db.insert('orders', { ref: 'b', amount: 5 })
+    db.update('orders', { id: 2, amount: 7 })
+  })
+  it('replaying unsaved operations after a crash', () => {
+    db.insert('orders', { ref: 'c', amount: 1 })
+    db.remove('orders', 1)
+    let reopened = open('testdb/journal', { journal: true })
+    assert.equal(reopened.get('orders', 1), null)
+    assert.equal(reopened.get('orders', 2).amount, 7)
+    assert.equal(reopened.get('orders', 3).ref, 'c')
+    assert.equal(reopened.tables.orders.lastId, 3)
+    assert.throws(() => reopened.insert('orders', { ref: 'b' }),
+      ezpzdb.UniqueConstraintError)
+  })
+  it('emptying the journal after saving', () => {
+    db.forceSave = true
+    db.saveData()
+    assert.equal(fs.statSync('testdb/journal/journal').size, 0)
+    db.update('orders', { id: 3, amount: 2 })
+    let reopened = open('testdb/journal', { journal: true })
+    assert.equal(reopened.get('orders', 3).amount, 2)
+    assert.equal(reopened.get('orders', 2).amount, 7)
+  })
+  it('replaying inserts made after a truncate', () => {
+    let crashed = open('testdb/journal-truncate', { journal: true })
+    crashed.insert('logs', { line: 'old' })
+    crashed.forceSave = true
+    crashed.saveData()
+    crashed.truncate('logs', 0)
+    crashed.insert('logs', { line: 'new' })
+    let reopened = open('testdb/journal-truncate', { journal: true })
+    assert.equal(reopened.tables.logs.lastId, 1)
+    reopened.forceSave = true
+    reopened.saveData()
+    assert.deepEqual(open('testdb/journal-truncate').getAll('logs'),
+      [{ line: 'new', id: 1 }])
+  })
+  it('ignoring an operation that was cut off', () => {
+    fs.appendFileSync('testdb/journal/journal', '{"op":"remove","tab')
+    let reopened = open('testdb/journal', { journal: { sync: 'batch' } })
+    assert.equal(reopened.get('orders', 3).amount, 2)
+    reopened.remove('orders', 3)
+    reopened.journal.flush()
+    let again = open('testdb/journal', { journal: true })
+    assert.equal(again.get('orders', 3), null)
+  })
+  it('syncing a batch that does not fill up in time', async () => {
+    let db = open('testdb/journal-batch',
+      { journal: { sync: 'batch', batchSize: 100, interval: 10 } })
+    let fsync = fs.fsyncSync
+    let syncs = 0
+    fs.fsyncSync = fd => { syncs++; return fsync(fd) }
+    try {
+      db.insert('orders', { amount: 1 })
+      db.insert('orders', { amount: 2 })
+      assert.equal(syncs, 0)
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.equal(syncs, 1)
+      assert.equal(db.journal.unsynced, 0)
+    } finally {
+      fs.fsyncSync = fsync
+    }
+  })
+})
+
+describe('lifecycle', () => {
+  it('not registering signal handlers if told so', () => {
+    let listeners = process.listenerCount('SIGINT')
+    open('testdb/lifecycle')
+    assert.equal(process.listenerCount('SIGINT'), listeners)
+  })
+  it('flushing data to disk', async () => {
+    let db = open('testdb/lifecycle')
+    db.insert('things', { name: 'thing' })
+    await db.flush()
+    assert.equal(db.writes, 0)
+    assert.equal(open('testdb/lifecycle').get('things', 1).name, 'thing')
+  })
+  it('closing without affecting other instances', async () => {
+    let db = ezpzdb.db('testdb/lifecycle', { journal: true })
+    let other = open('testdb/lifecycle/other')
+    let listeners = process.listenerCount('SIGTERM')
+    db.insert('things', { name: 'another thing' })
+    await db.close()
+    assert.equal(process.listenerCount('SIGTERM'), listeners - 1)
+    assert.equal(db.journal, null)
+    assert.equal(open('testdb/lifecycle').get('things', 2).name,
+      'another thing')
+    other.insert('things', { name: 'still there' })
+    await other.flush()
+    assert.equal(open('testdb/lifecycle/other').get('things', 1).name,
+      'still there')
+  })
+  it('opening a database read-only', async () => {
+    let db = ezpzdb.db('testdb/lifecycle', { readOnly: true })
+    assert.equal(db.signalHandler, null)
+    assert.equal(db.saveTimer, null)
+    assert.equal(db.get('things', 1).name, 'thing')
+    assert.throws(() => db.insert('things', { name: 'nope' }),
+      ezpzdb.ReadOnlyError)
+    assert.throws(() => db.remove('things', 1), ezpzdb.ReadOnlyError)
+    let before = fs.statSync('testdb/lifecycle/tables/things/db').mtimeMs
+    await db.close()
+    assert.equal(fs.statSync('testdb/lifecycle/tables/things/db').mtimeMs,
+      before)
+    assert(!fs.existsSync('testdb/lifecycle/commit'))
+  })
+  it('locking the database for other writers', async () => {
+    // A new one, which is locked before anything has been saved
+    let db = open('testdb/locking', { lock: true })
+    assert.throws(() => open('testdb/locking', { lock: true }),
+      err => err instanceof ezpzdb.LockError &&
+        err.owner.pid === process.pid)
+    let reader = open('testdb/locking', { readOnly: true })
+    db.insert('things', { who: 'a' })
+    await db.close()
+    assert(!fs.existsSync('testdb/locking/lock'))
+    let other = open('testdb/locking', { lock: true })
+    assert.equal(other.insert('things', { who: 'b' }), 2)
+    await other.close()
+    assert.deepEqual(open('testdb/locking').getAll('things')
+      .map(thing => thing.who), ['a', 'b'])
+    await reader.close()
+  })
+  it('leaving nothing behind for a new database without data', async () => {
+    await open('testdb/locking-unused', { lock: true }).close()
+    assert(!fs.existsSync('testdb/locking-unused'))
+  })
+  it('taking over the lock of a dead process', async () => {
+    let { pid } = require('child_process').spawnSync(process.execPath,
+      ['-e', ''])
+    fs.writeFileSync('testdb/locking/lock', JSON.stringify({
+      pid, hostname: require('os').hostname()
+    }))
+    let db = open('testdb/locking', { lock: true })
+    assert.equal(JSON.parse(fs.readFileSync('testdb/locking/lock')).pid,
+      process.pid)
+    await db.close()
+  })
+  it('reloading read-only instances after saves', async () => {
+    let db = open('testdb/reloading', { lock: true })
+    db.insert('things', { name: 'first' })
+    await db.flush()
+    let reader = open('testdb/reloading', {
+      readOnly: true, reloadInterval: 10
+    })
+    assert.equal(reader.get('things', 1).name, 'first')
+    assert.equal(reader.reload(), false)
+    db.update('things', { id: 1, name: 'updated' })
+    db.insert('things', { name: 'second' })
+    await db.flush()
+    await new Promise(resolve => reader.once('reload', resolve))
+    assert.equal(reader.get('things', 1).name, 'updated')
+    assert.equal(reader.get('things', 2).name, 'second')
+    assert.throws(() => db.reload(), /read-only/)
+  })
+  it('logging through a custom logger', async () => {
+    let logged = []
+    let logger = {}
+    for (let level of ['debug', 'info', 'warn', 'error']) {
+      logger[level] = message => logged.push(level)
+    }
+    let db = open('logging', { storage: 'memory', logger, logLevel: 'warn' })
+    db.insert('things', { name: 'thing' })
+    await db.flush()
+    db.reportError(Error('something went wrong'))
+    assert.deepEqual(logged, ['error'])
+    assert.throws(() => open('logging', { logLevel: 'loud' }))
+  })
+  it('surfacing save failures', async () => {
+    let storage = new ezpzdb.MemoryStorage()
+    let append = storage.append
+    storage.append = () => { throw Error('disk full') }
+    let db = open('failing', {
+      storage, logLevel: 'silent', writesToSave: 0, saveDataInterval: 10
+    })
+    db.insert('things', { name: 'thing' })
+    let err = await new Promise(resolve => db.once('error', resolve))
+    assert.equal(err.message, 'disk full')
+    await assert.rejects(db.flush(), /disk full/)
+    storage.append = append
+    await db.close()
+    assert.equal(open('failing', { storage }).get('things', 1).name, 'thing')
+  })
+  it('exiting with an error if data could not be saved on shutdown', () => {
+    let { status } = require('child_process').spawnSync(process.execPath,
+      ['-e', `
+        const ezpzdb = require('.')
+        let storage = new ezpzdb.MemoryStorage()
+        storage.append = () => { throw Error('disk full') }
+        let db = ezpzdb.db('failing',
+          { storage, handleSignals: false, logLevel: 'silent' })
+        db.insert('things', { name: 'thing' })
+        db.gracefulShutdown()
+      `])
+    assert.equal(status, 1)
+  })
+})
+
+describe('transactions', () => {
+  var db
+  before(() => {
+    db = open('testdb/transactions', { journal: true })
+    db.createIndex('orders', 'ref', { unique: true })
+    db.insert('stock', { item: 'node', count: 10 })
+  })
+  it('applying all operations', () => {
+    let orderId = db.transaction(tx => {
+      let id = tx.insert('orders', { ref: 'a', item: 'node', count: 2 })
+      tx.update('stock', { id: 1, count: tx.get('stock', 1).count - 2 })
+      return id
+    })
+    assert.equal(orderId, 1)
+    assert.equal(db.get('orders', 1).ref, 'a')
+    assert.equal(db.get('stock', 1).count, 8)
+  })
+  it('rolling back everything on errors', () => {
+    assert.throws(() => db.transaction(tx => {
+      tx.insert('orders', { ref: 'b', item: 'node', count: 1 })
+      tx.update('stock', { id: 1, count: 7 })
+      tx.insert('invoices', { order: 2 })
+      tx.insert('orders', { ref: 'a' })
+    }), ezpzdb.UniqueConstraintError)
+    assert.equal(db.get('orders', 2), null)
+    assert.equal(db.tables.orders.lastId, 1)
+    assert.equal(db.findOne('orders', { ref: 'b' }), null)
+    assert.equal(db.get('stock', 1).count, 8)
+    assert(!db.tableExists('invoices'))
+    assert.equal(db.insert('orders', { ref: 'b' }), 2)
+  })
+  it('not saving anything before the transaction is over', async () => {
+    let flushed
+    assert.throws(() => db.transaction(tx => {
+      tx.insert('orders', { ref: 'rolled back' })
+      flushed = db.flush()
+      throw Error('rolled back')
+    }), /rolled back/)
+    await assert.rejects(flushed, /transaction is in progress/)
+    await db.flush()
+    let reopened = open('testdb/transactions')
+    assert.equal(reopened.findOne('orders', { ref: 'rolled back' }), null)
+  })
+  it('rejecting asynchronous transactions', () => {
+    assert.throws(() => db.transaction(async tx => {
+      tx.insert('orders', { ref: 'c' })
+    }), /synchronous/)
+    assert.equal(db.findOne('orders', { ref: 'c' }), null)
+  })
+  it('journaling a transaction as a whole', () => {
+    db.transaction(tx => {
+      tx.insert('orders', { ref: 'd' })
+      tx.remove('stock', 1)
+    })
+    let ops = fs.readFileSync('testdb/transactions/journal', 'utf8')
+      .trim().split('\n').map(line => JSON.parse(line))
+    assert.deepEqual(ops[ops.length - 1].ops.map(op => op.op),
+      ['insert', 'remove'])
+    let reopened = open('testdb/transactions', { journal: true })
+    assert.equal(reopened.findOne('orders', { ref: 'd' }).id, 3)
+    assert.equal(reopened.get('stock', 1), null)
+  })
+  it('finishing a save that was interrupted', async () => {
+    let renameSync = fs.renameSync
+    let renames = 0
+    fs.renameSync = (...args) => {
+      if (++renames > 2) throw Error('power outage')
+      return renameSync(...args)
+    }
+    try {
+      await assert.rejects(db.flush(), /power outage/)
+    } finally {
+      fs.renameSync = renameSync
+    }
+    assert(fs.existsSync('testdb/transactions/commit'))
+    let reopened = open('testdb/transactions')
+    assert(!fs.existsSync('testdb/transactions/commit'))
+    assert.equal(reopened.get('orders', 1).ref, 'a')
+    assert.equal(reopened.get('orders', 3).ref, 'd')
+  })
+})
+
+describe('schemas', () => {
+  var db
+  before(() => {
+    db = open('testdb/schemas')
+    db.defineTable('users', {
+      name: { type: 'string', required: true, min: 1 },
+      age: { type: 'integer', min: 0, max: 150 },
+      role: { type: 'string', enum: ['admin', 'user'], default: 'user' },
+      born: 'date',
+      tags: ['string'],
+      address: { street: 'string', zip: { type: 'string', pattern: '^\\d+$' } }
+    })
+  })
+  it('filling in defaults and coercing types', () => {
+    let id = db.insert('users', { name: 'Nodey', age: '25', born: 0 })
+    let user = db.get('users', id)
+    assert.strictEqual(user.age, 25)
+    assert.equal(user.role, 'user')
+    assert(user.born instanceof Date)
+  })
+  it('listing every failing path', () => {
+    try {
+      db.insert('users', {
+        age: -1,
+        role: 'root',
+        nmae: 'typo',
+        tags: ['ok', {}],
+        address: { zip: 'abc' }
+      })
+      assert.fail('should have thrown')
+    } catch (err) {
+      assert(err instanceof ezpzdb.ValidationError)
+      assert.deepEqual(err.errors.map(error => error.path).sort(), [
+        'address.zip', 'age', 'name', 'nmae', 'role', 'tags.1'
+      ])
+    }
+    assert.equal(db.tables.users.lastId, 1)
+  })
+  it('checking only the updated fields', () => {
+    db.update('users', { id: 1, age: '26' })
+    assert.strictEqual(db.get('users', 1).age, 26)
+    assert.throws(() => db.update('users', { id: 1, name: null }),
+      ezpzdb.ValidationError)
+    assert.throws(() => db.update('users', 1, { $unset: { name: true } }),
+      ezpzdb.ValidationError)
+    db.update('users', 1, { $set: { 'address.zip': '123' } })
+    assert.throws(() => db.update('users', 1, { $set: { 'address.zip': 'x' } }),
+      ezpzdb.ValidationError)
+  })
+  it('rejecting invalid schemas', () => {
+    assert.throws(() => db.defineTable('broken', { a: 'strnig' }), /unknown/)
+    assert.throws(() => db.defineTable('broken', { a: { type: 'string',
+      default: () => 'x' } }), /JSON/)
+  })
+  it('persisting schemas', async () => {
+    await db.flush()
+    let reopened = open('testdb/schemas')
+    assert.throws(() => reopened.insert('users', { age: 3 }),
+      ezpzdb.ValidationError)
+  })
+})
+
+describe('events', () => {
+  var db
+  before(() => {
+    db = open('events', { storage: 'memory' })
+  })
+  it('emitting change events', () => {
+    let events = []
+    for (let type of ['insert', 'update', 'remove', 'truncate']) {
+      db.on(type, event => events.push(event))
+    }
+    db.insert('users', { name: 'Nodey' })
+    db.update('users', { id: 1, name: 'Denoy' })
+    db.remove('users', 1)
+    db.truncate('users', 0)
+    assert.deepEqual(events.map(event => event.type),
+      ['insert', 'update', 'remove', 'truncate'])
+    assert.equal(events[1].oldValue.name, 'Nodey')
+    assert.equal(events[1].newValue.name, 'Denoy')
+    assert.equal(events[2].oldValue.name, 'Denoy')
+    assert.equal(events[3].start, 0)
+    db.removeAllListeners()
+  })
+  it('emitting events of transactions only once committed', () => {
+    let events = []
+    db.on('insert', event => events.push(event))
+    assert.throws(() => db.transaction(tx => {
+      tx.insert('users', { name: 'Nodey' })
+      throw Error('nope')
+    }))
+    assert.equal(events.length, 0)
+    db.transaction(tx => tx.insert('users', { name: 'Nodey' }))
+    assert.equal(events.length, 1)
+    db.removeAllListeners()
+  })
+  it('watching a table with a query', () => {
+    let events = []
+    let unwatch = db.watch('users', { age: { $gte: 18 } },
+      event => events.push(event))
+    let ignored = db.watch('others', () => assert.fail('wrong table'))
+    let id = db.insert('users', { name: 'Bunny', age: 12 })
+    db.update('users', { id, age: 18 })
+    db.update('users', { id, age: 17 })
+    ignored()
+    db.insert('others', {})
+    unwatch()
+    db.remove('users', id)
+    assert.deepEqual(events.map(event => event.type), ['update', 'update'])
+    assert.equal(db.listenerCount('remove'), 0)
+  })
+  it('emitting save events', async () => {
+    let saved = []
+    db.on('save', event => saved.push(event.table))
+    await db.flush()
+    assert.deepEqual(saved.sort(), ['others', 'users'])
+  })
+})
+
+describe('storage', () => {
+  var db
+  before(() => {
+    db = open('testdb/storage', { compactionThreshold: false })
+  })
+  it('appending instead of rewriting', async () => {
+    db.insert('things', { name: 'first' })
+    db.insert('things', { name: 'second' })
+    await db.flush()
+    let before = fs.readFileSync('testdb/storage/tables/things/db')
+    db.update('things', { id: 1, name: 'first, updated' })
+    db.remove('things', 2)
+    await db.flush()
+    let after = fs.readFileSync('testdb/storage/tables/things/db')
+    assert(after.slice(0, before.length).equals(before))
+    assert(db.deadSpaceRatio('things') > 0.5)
+    let reopened = open('testdb/storage', { compactionThreshold: false })
+    assert.equal(reopened.get('things', 1).name, 'first, updated')
+    assert.equal(reopened.get('things', 2), null)
+  })
+  it('compacting while staying readable and writable', async () => {
+    for (let ix = 0; ix < 2500; ix++) {
+      db.insert('many', { ix })
+    }
+    await db.flush()
+    db.truncate('many', 1000)
+    await db.flush()
+    let compaction = db.compact('many')
+    assert.equal(db.get('many', 500).ix, 499)
+    db.update('many', { id: 3, ix: 'changed' })
+    db.insert('many', { ix: 'new' })
+    await db.flush()
+    await compaction
+    assert.equal(db.deadSpaceRatio('many'), 0)
+    assert.equal(db.find('many').length, 1001)
+    let reopened = open('testdb/storage', { compactionThreshold: false })
+    assert.equal(reopened.get('many', 3).ix, 'changed')
+    assert.equal(reopened.get('many', 1001).ix, 'new')
+    assert.equal(reopened.get('many', 1000).ix, 999)
+  })
+  it('compacting automatically above the threshold', async () => {
+    let auto = open('testdb/storage', { compactionThreshold: 0.5 })
+    auto.update('things', { id: 1, name: 'again' })
+    await auto.flush()
+    await auto.tables.things.compaction
+    assert.equal(auto.deadSpaceRatio('things'), 0)
+    assert.equal(auto.get('things', 1).name, 'again')
+  })
+  it('undoing a save that failed halfway', async () => {
+    let file = 'testdb/storage/tables/things/db'
+    let size = fs.statSync(file).size
+    db.insert('things', { name: 'third' })
+    db.insert('many', { ix: 'another' })
+    let writeSync = fs.writeSync
+    let writes = 0
+    fs.writeSync = (...args) => {
+      if (++writes > 4) throw Error('disk full')
+      return writeSync(...args)
+    }
+    try {
+      await assert.rejects(db.flush(), /disk full/)
+    } finally {
+      fs.writeSync = writeSync
+    }
+    assert.equal(fs.statSync(file).size, size)
+    assert(!fs.existsSync('testdb/storage/commit'))
+    assert.equal(db.get('things', 3).name, 'third')
+    await db.flush()
+    let reopened = open('testdb/storage', { compactionThreshold: false })
+    assert.equal(reopened.get('things', 3).name, 'third')
+    assert.equal(reopened.get('many', 1002).ix, 'another')
+  })
+})
+
+describe('backups', () => {
+  var db
+  before(() => {
+    db = open('testdb/backups')
+    db.createIndex('users', 'email', { unique: true })
+    db.insert('users', { email: 'nodey@node.js' })
+  })
+  it('writing a snapshot with a manifest', async () => {
+    db.insert('users', { email: 'denoy@deno.land' })
+    let backup = db.backup('testdb/backups-1')
+    // Not part of the backup, it has been started already
+    db.insert('users', { email: 'bunny@bun.sh' })
+    let manifest = await backup
+    assert.deepEqual(manifest.tables, ['users'])
+    assert(manifest.files.some(({ file }) => file.endsWith('db')))
+    assert(manifest.files.every(({ sha256 }) => /^[0-9a-f]{64}$/.test(sha256)))
+    await assert.rejects(db.backup('testdb/backups-1'), ezpzdb.BackupError)
+  })
+  it('restoring a snapshot', async () => {
+    await ezpzdb.Database.restore('testdb/backups-1', 'testdb/restored')
+    let restored = open('testdb/restored')
+    assert.equal(restored.get('users', 2).email, 'denoy@deno.land')
+    assert.equal(restored.get('users', 3), null)
+    assert.throws(() => restored.insert('users', { email: 'nodey@node.js' }),
+      ezpzdb.UniqueConstraintError)
+    await assert.rejects(
+      ezpzdb.Database.restore('testdb/backups-1', 'testdb/restored'),
+      /exists already/)
+  })
+  it('refusing to restore damaged backups', async () => {
+    fs.appendFileSync('testdb/backups-1/tables/users/db', 'garbage')
+    await assert.rejects(
+      ezpzdb.Database.restore('testdb/backups-1', 'testdb/restored',
+        { overwrite: true }),
+      err => err instanceof ezpzdb.BackupError &&
+        err.problems[0] === 'tables/users/db has the wrong size')
+    assert.equal(open('testdb/restored').get('users', 1).email,
+      'nodey@node.js')
+  })
+})
+
+describe('import and export', () => {
+  var db
+  before(() => {
+    db = open('testdb/transfer')
+    db.insert('people', { name: 'Nodey', age: 25,
+                          address: { city: 'Node Town' }, tags: ['dev'] })
+    db.insert('people', { name: 'Denoy, "the" dino', age: null })
+    db.insert('people', { name: '42', bio: 'line one\nline two',
+                          'last, "nick" name': 'Nodo' })
+  })
+  for (let format of ['ndjson', 'json', 'csv']) {
+    it(`round-tripping entries as ${format}`, async () => {
+      let file = `testdb/people.${format}`
+      assert.equal(await db.exportTable('people', file), 3)
+      let result = await db.importTable(`people-${format}`, file,
+                                        { preserveIds: true })
+      assert.deepEqual(result, { inserted: 3, replaced: 0, skipped: 0 })
+      assert.deepEqual(db.find(`people-${format}`), db.find('people'))
+    })
+  }
+  it('failing to write to a path that can\'t be written to', async () => {
+    await assert.rejects(
+      db.exportTable('people', 'testdb/missing/people.ndjson'), /ENOENT/)
+    for (let ix = 0; ix < 2000; ix++) {
+      db.insert('many', { text: `entry number ${ix}` })
+    }
+    await assert.rejects(
+      db.exportTable('many', 'testdb/missing/many.csv'), /ENOENT/)
+  })
+  for (let format of ['ndjson', 'json', 'csv']) {
+    it(`keeping BigInts and Maps as ${format}`, async () => {
+      let file = `testdb/typed.${format}`
+      db.insert('typed', { big: 2n ** 64n,
+                           map: new Map([['at', new Date(0)]]) })
+      await db.exportTable('typed', file)
+      await db.importTable(`typed-${format}`, file, { preserveIds: true })
+      assert.deepEqual(db.find(`typed-${format}`), db.find('typed'))
+      assert.equal(db.get(`typed-${format}`, 1).big, 2n ** 64n)
+    })
+  }
+  it('assigning new IDs unless told otherwise', async () => {
+    await db.exportTable('people', 'testdb/people.ndjson')
+    db.insert('copies', { name: 'First' })
+    await db.importTable('copies', 'testdb/people.ndjson')
+    assert.deepEqual(db.find('copies').map(item => item.id), [1, 2, 3, 4])
+    assert.equal(db.get('copies', 2).name, 'Nodey')
+  })
+  it('handling ID conflicts', async () => {
+    fs.writeFileSync('testdb/conflicts.ndjson',
+      '{"id":2,"name":"Two"}\n{"id":7,"name":"Seven"}\n')
+    await assert.rejects(
+      db.importTable('people', 'testdb/conflicts.ndjson',
+                     { preserveIds: true }),
+      ezpzdb.UniqueConstraintError)
+    let skipped = await db.importTable('people', 'testdb/conflicts.ndjson',
+      { preserveIds: true, onConflict: 'skip' })
+    assert.deepEqual(skipped, { inserted: 1, replaced: 0, skipped: 1 })
+    assert.equal(db.get('people', 2).name, 'Denoy, "the" dino')
+    let replaced = await db.importTable('people', 'testdb/conflicts.ndjson',
+      { preserveIds: true, onConflict: 'replace' })
+    assert.deepEqual(replaced, { inserted: 0, replaced: 2, skipped: 0 })
+    assert.deepEqual(db.get('people', 2), { id: 2, name: 'Two' })
+    // IDs continue after the highest imported one
+    assert.equal(db.insert('people', { name: 'Eight' }), 8)
+    await db.flush()
+    let reopened = open('testdb/transfer')
+    assert.equal(reopened.get('people', 7).name, 'Seven')
+    assert.equal(reopened.insert('people', { name: 'Nine' }), 9)
+  })
+})
+
+describe('storage adapters', () => {
+  it('keeping everything in memory', async () => {
+    let storage = new ezpzdb.MemoryStorage()
+    let db = open('testdb/memory', { storage })
+    db.createIndex('things', 'name', { unique: true })
+    db.insert('things', { name: 'first' })
+    db.insert('things', { name: 'second' })
+    await db.flush()
+    db.update('things', { id: 1, name: 'updated' })
+    await db.flush()
+    await db.compact('things')
+    assert(!fs.existsSync('testdb/memory'))
+    assert(storage.exists('tables/things/db'))
+    let reopened = open('testdb/memory', { storage })
+    assert.deepEqual(reopened.find('things').map(item => item.name),
+      ['updated', 'second'])
+    assert.deepEqual(reopened.verify(), [])
+    assert.throws(() => open('memory', { storage: 'memory', journal: true }),
+      /file storage/)
+  })
+  it('plugging in your own storage', async () => {
+    let writes = []
+    let storage = new ezpzdb.MemoryStorage()
+    let append = storage.append
+    storage.append = function (file, chunks) {
+      writes.push(file)
+      return append.call(this, file, chunks)
+    }
+    let db = open('custom', { storage })
+    db.insert('things', { name: 'thing' })
+    await db.flush()
+    assert.deepEqual(writes, ['tables/things/db', 'tables/things/index'])
+    let manifest = await db.backup('testdb/custom-backup')
+    assert.equal(manifest.files.length, 3)
+    assert(fs.existsSync('testdb/custom-backup/tables/things/db'))
+  })
+})
+
+describe('cache', () => {
+  const storage = new ezpzdb.MemoryStorage()
+  before(async () => {
+    let db = open('cache', { storage })
+    for (let ix = 0; ix < 5; ix++) {
+      db.insert('things', { ix })
+    }
+    db.insert('others', { text: 'x'.repeat(100) })
+    await db.flush()
+  })
+  it('evicting the least recently used entries', () => {
+    let db = open('cache', { storage, cache: { maxEntries: 2 } })
+    db.get('things', 1)
+    db.get('things', 2)
+    db.get('things', 1)
+    db.get('things', 3)
+    db.get('things', 1)
+    let stats = db.cacheStats()
+    assert.deepEqual([stats.hits, stats.misses, stats.evictions, stats.entries],
+      [2, 3, 1, 2])
+    assert.equal(stats.tables.things.entries, 2)
+    db.get('things', 2)
+    assert.equal(db.cacheStats().misses, 4)
+  })
+  it('evicting the least frequently used entries', () => {
+    let db = open('cache', { storage, cache: { maxEntries: 2, policy: 'lfu' } })
+    db.get('things', 1)
+    db.get('things', 1)
+    db.get('things', 2)
+    db.get('things', 3)
+    db.get('things', 1)
+    db.get('things', 3)
+    assert.equal(db.cacheStats().hits, 3)
+    assert.throws(() => open('cache', { storage, cache: { policy: 'fifo' } }))
+  })
+  it('keeping new entries of a warm LFU cache until the next one', () => {
+    let db = open('cache', { storage, cache: { maxEntries: 2, policy: 'lfu' } })
+    for (let id of [1, 1, 2, 2, 3, 3]) db.get('things', id)
+    let stats = db.cacheStats()
+    assert.deepEqual([stats.hits, stats.misses], [3, 3])
+    db.collectCache()
+    db.get('things', 4)
+    assert.equal(db.cacheStats().entries, 2)
+  })
+  it('limiting the size of single tables', () => {
+    let db = open('cache', {
+      storage, cache: { tables: { others: { maxBytes: 50 } } }
+    })
+    db.getAll('things')
+    db.get('others', 1)
+    let stats = db.cacheStats()
+    assert.equal(stats.tables.things.entries, 5)
+    assert.equal(stats.tables.others.entries, 0)
+    assert(stats.bytes > 0)
+  })
+  it('bypassing and warming the cache', () => {
+    let db = open('cache', { storage })
+    db.getAll('things', { cache: false })
+    assert.equal(db.find('things', { ix: 4 }, { cache: false }).length, 1)
+    assert.equal(db.cacheStats().entries, 0)
+    assert.equal(db.warmCache('things', [1, 2, 9]), 2)
+    assert.equal(db.warmCache('things'), 5)
+    assert.equal(db.cacheStats().entries, 5)
+    db.update('things', { id: 1, ix: 10 })
+    assert.equal(db.cacheStats().entries, 4)
+    assert.equal(db.get('things', 1).ix, 10)
+  })
+})
+
+describe('integrity', () => {
+  const dbpath = 'testdb/integrity'
+  const file = name => `${dbpath}/tables/people/${name}`
+  before(async () => {
+    let db = open(dbpath, { compactionThreshold: false })
+    db.createIndex('people', 'name', { unique: true })
+    for (let name of ['Nodey', 'Denoy', 'Bunny']) {
+      db.insert('people', { name })
+    }
+    await db.flush()
+    db.remove('people', 3)
+    db.insert('people', { name: 'Deno' })
+    await db.flush()
+    await db.close()
+  })
+  it('finding nothing wrong with an intact database', () => {
+    assert.deepEqual(open(dbpath).verify(), [])
+  })
+  it('reporting corrupt entries', async () => {
+    let data = fs.readFileSync(file('db'), 'utf8')
+    fs.writeFileSync(file('db'), data.replace('Denoy', 'Denny'))
+    let db = open(dbpath)
+    assert.deepEqual(db.verify(), [{ table: 'people', id: 2,
+      message: 'is corrupt (checksum mismatch)' }])
+    assert.throws(() => db.get('people', 2), err =>
+      err instanceof ezpzdb.CorruptionError && err.id === 2)
+    await db.close()
+    fs.writeFileSync(file('db'), data)
+  })
+  it('repairing a table from its data file', async () => {
+    let first = fs.readFileSync(file('db'), 'utf8').split('\n')[0]
+    fs.writeFileSync(file('index'), `1,0,${first.length + 1}\n`)
+    let db = open(dbpath)
+    assert.deepEqual(db.verify().map(({ id, message }) => `${id} ${message}`),
+      ['2 is missing from the index', '4 is missing from the index'])
+    // Cut off in the middle of a save
+    fs.appendFileSync(file('db'), '1234abcd {"name":"Hal')
+    let result = await db.repair('people')
+    assert.deepEqual(result, { entries: 3, problems: [] })
+    assert.deepEqual(db.verify(), [])
+    assert.equal(db.get('people', 4).name, 'Deno')
+    assert.equal(db.get('people', 3), null)
+    assert.deepEqual(db.find('people', { name: 'Denoy' }).map(({ id }) => id),
+      [2])
+    assert.equal(db.insert('people', { name: 'Hal' }), 5)
+    await db.close()
+  })
+  it('repairing inconsistencies on startup', async () => {
+    fs.writeFileSync(file('index'), '1,0,abc\n')
+    fs.writeFileSync(file('meta'), '{"lastId":')
+    let db = open(dbpath)
+    assert.deepEqual(db.verify(), [])
+    assert.equal(db.get('people', 5).name, 'Hal')
+    assert.equal(db.tables.people.lastId, 5)
+    await db.close()
+    assert.equal(open(dbpath, { readOnly: true }).get('people', 4).name,
+      'Deno')
+  })
+  it('adding checksums to data written by older versions', async () => {
+    let legacy = `${dbpath}-legacy/tables/people`
+    fs.mkdirSync(legacy, { recursive: true })
+    fs.writeFileSync(`${legacy}/db`, '{"name":"Old","id":1}')
+    fs.writeFileSync(`${legacy}/index`, '1,0,21\n')
+    fs.writeFileSync(`${legacy}/meta`, '{"lastId":1}')
+    let db = open(`${dbpath}-legacy`)
+    assert.equal(db.get('people', 1).name, 'Old')
+    await db.tables.people.compaction
+    assert(db.tables.people.checksums)
+    assert.deepEqual(db.verify(), [])
+  })
+})
+
+describe('encryption', () => {
+  const dbpath = 'testdb/encrypted'
+  const contents = () => ['db', 'fieldindex-email'].map(name =>
+    fs.readFileSync(`${dbpath}/tables/users/${name}`, 'utf8')).join('')
+  it('encrypting entries and indexes', async () => {
+    let db = open(dbpath, { encryptionKey: 'secret', journal: true })
+    db.createIndex('users', 'email', { unique: true })
+    db.insert('users', { email: 'nodey@node.js' })
+    await db.flush()
+    db.insert('users', { email: 'denoy@deno.land' })
+    assert(!fs.readFileSync(`${dbpath}/journal`, 'utf8').includes('denoy'))
+    assert(!contents().includes('nodey'))
+    let reopened = open(dbpath, {
+      encryptionKey: () => 'secret', journal: true
+    })
+    assert.equal(reopened.get('users', 1).email, 'nodey@node.js')
+    assert.equal(reopened.findOne('users', { email: 'denoy@deno.land' }).id, 2)
+    await reopened.flush()
+    assert.deepEqual(reopened.verify(), [])
+  })
+  it('rejecting a wrong or missing key', () => {
+    assert.throws(() => open(dbpath, { encryptionKey: 'wrong' }),
+      err => err instanceof ezpzdb.EncryptionError &&
+        /Wrong encryption key/.test(err.message))
+    assert.throws(() => open(dbpath), /is encrypted/)
+    assert.throws(() => open('testdb/short-key', {
+      encryptionKey: Buffer.alloc(16)
+    }), ezpzdb.EncryptionError)
+    assert.throws(() => open(dbpath, { encryptionKey: async () => 'secret' }),
+      err => err instanceof ezpzdb.EncryptionError &&
+        /not a promise/.test(err.message))
+  })
+  it('changing the key', async () => {
+    let db = open(dbpath, { encryptionKey: 'secret' })
+    let key = require('crypto').randomBytes(32)
+    await db.reencrypt(key)
+    assert.equal(db.get('users', 2).email, 'denoy@deno.land')
+    assert.throws(() => open(dbpath, { encryptionKey: 'secret' }),
+      ezpzdb.EncryptionError)
+    let reopened = open(dbpath, { encryptionKey: key })
+    assert.equal(reopened.get('users', 1).email, 'nodey@node.js')
+    assert.deepEqual(reopened.verify(), [])
+    await reopened.reencrypt(null)
+    assert(contents().includes('nodey'))
+    assert.equal(open(dbpath).findOne('users', { email: 'nodey@node.js' }).id,
+      1)
+  })
+  it('encrypting natural keys in the index', async () => {
+    const path = 'testdb/encrypted-keys'
+    const index = () =>
+      fs.readFileSync(`${path}/tables/users/index`, 'utf8')
+    let db = open(path, { encryptionKey: 'secret' })
+    db.createTable('users', { key: { field: 'email' } })
+    db.insert('users', { email: 'nodey@node.js', name: 'Nodey' })
+    db.insert('users', { email: 'denoy@deno.land', name: 'Denoy' })
+    await db.flush()
+    db.remove('users', 'denoy@deno.land')
+    await db.flush()
+    assert(!/nodey|denoy/.test(index()))
+    let reopened = open(path, { encryptionKey: 'secret' })
+    assert.deepEqual(reopened.getAll('users').map(user => user.name),
+      ['Nodey'])
+    assert.deepEqual(reopened.verify(), [])
+    await reopened.compact('users')
+    assert(!index().includes('nodey'))
+    await reopened.reencrypt(null)
+    assert(index().includes('nodey'))
+    assert.equal(open(path).get('users', 'nodey@node.js').name, 'Nodey')
+  })
+})
+
+describe('tables', () => {
+  const dbpath = 'testdb/table-management'
+  it('listing tables and their stats', async () => {
+    let db = open(dbpath)
+    db.insert('users', { name: 'Nodey' })
+    db.insert('users', { name: 'Denoy' })
+    db.insert('posts', { title: 'Hello' })
+    await db.flush()
+    db.remove('users', 1)
+    db.insert('users', { name: 'Bunny' })
+    assert.deepEqual(db.listTables(), ['users', 'posts'])
+    let stats = db.tableStats('users')
+    assert.equal(stats.entries, 2)
+    assert.equal(stats.lastId, 3)
+    assert(stats.fileSize > stats.dataSize)
+    assert.deepEqual(stats.pending,
+      { inserts: 1, updates: 0, removals: 1, truncate: null })
+    db.truncate('users', 1)
+    assert.equal(db.tableStats('users').entries, 0)
+    assert.throws(() => db.tableStats('nothing'), /non-existent/)
+  })
+  it('dropping, renaming and cloning tables', async () => {
+    let db = open(dbpath)
+    db.createIndex('posts', 'title', { unique: true })
+    db.insert('posts', { title: 'Bye' })
+    await db.cloneTable('posts', 'drafts')
+    db.insert('drafts', { title: 'Draft' })
+    assert.throws(() => db.insert('drafts', { title: 'Hello' }),
+      ezpzdb.UniqueConstraintError)
+    await db.renameTable('posts', 'articles')
+    await assert.rejects(db.renameTable('articles', 'drafts'), /exists/)
+    await assert.rejects(db.cloneTable('articles', '../up'), /Invalid/)
+    db.insert('users', { name: 'Nodey' })
+    await db.dropTable('users')
+    assert(!fs.existsSync(`${dbpath}/tables/users`))
+    assert(!fs.existsSync(`${dbpath}/tables/posts`))
+    assert.deepEqual(db.listTables(), ['drafts', 'articles'])
+    let reopened = open(dbpath, { journal: true })
+    assert.deepEqual(reopened.listTables().sort(), ['articles', 'drafts'])
+    assert.equal(reopened.get('articles', 2).title, 'Bye')
+    assert.equal(reopened.getAll('drafts').length, 3)
+    assert.deepEqual(reopened.verify(), [])
+  })
+})
+
+describe('cli', () => {
+  const { execFileSync } = require('child_process')
+  const cli = (...args) => execFileSync(process.execPath,
+    ['bin/ezpzdb.js', 'testdb/cli', ...args],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] })
+  before(async () => {
+    let db = open('testdb/cli')
+    db.insert('people', { name: 'Nodey', age: 25 })
+    db.insert('people', { name: 'Denoy', age: 42 })
+    await db.flush()
+  })
+  it('inspecting tables and entries', () => {
+    assert.equal(cli('tables'), 'people\n')
+    assert.equal(JSON.parse(cli('stats', 'people')).entries, 2)
+    assert.deepEqual(JSON.parse(cli('get', 'people', '2')),
+      { name: 'Denoy', age: 42, id: 2 })
+    assert.equal(cli('dump', 'people').trim().split('\n').length, 2)
+    assert.deepEqual(JSON.parse(cli('query', 'people', '{"age":{"$lt":30}}')),
+      { name: 'Nodey', age: 25, id: 1 })
+    assert.equal(cli('verify'), 'No problems found\n')
+  })
+  it('failing with a non-zero exit code', () => {
+    assert.throws(() => cli('get', 'people', '3'), err => err.status === 1)
+    assert.throws(() => cli('nonsense'), err => err.status === 2)
+  })
+})
+
 describe('db', () => {
   var db
   it('creating a database instance', () => {